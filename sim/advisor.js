@@ -0,0 +1,99 @@
+// --- FIREWALL ADVISOR ---
+// Scores firewall positions against the straight launcher-to-target missile paths. A path counts
+// as caught in proportion to how likely a 1 s smartbomb pulse finds the missile inside the sphere
+// often enough to burn through its hitpoints: chord / (speed * cycle * pulses needed), capped at 1.
+// Positions closer than sbRange + SAFETY to a friendly ship are ruled out, since a smartbomb
+// hits the fleet it is protecting just as hard as the missiles.
+// The advisor runs inside step(), so big fleets are scored against an evenly spread sample of at
+// most MAX_PATHS paths and at most MAX_CANDIDATES starting points.
+import * as THREE from 'three';
+import { MISSILE_CATALOG } from './missiles.js';
+
+const SAFETY = 1000;
+const PULSE_CYCLE = 1.0;
+const MAX_CANDIDATES = 400;
+const MAX_PATHS = 200;
+
+const _d = new THREE.Vector3();
+const _p = new THREE.Vector3();
+
+// Every n-th entry of `list`, n chosen so `count` of them are spread over the whole list.
+const spread = (list, count) => Array.from({ length: count }, (_, i) => list[Math.floor(i * list.length / count)]);
+
+// Launcher-to-target segments, cut off where the missile runs out of flight time. When there are
+// more than `maxPaths` enemy/friend pairs, both fleets are thinned evenly so the sample still
+// reaches every part of each fleet.
+export function missilePaths(enemyShips, friendShips, missileRange, maxPaths = Infinity) {
+    const scale = Math.min(1, Math.sqrt(maxPaths / (enemyShips.length * friendShips.length)));
+    const enemies = spread(enemyShips, Math.min(enemyShips.length, Math.max(1, Math.round(enemyShips.length * scale))));
+    const friends = spread(friendShips, Math.min(friendShips.length, Math.max(1, Math.floor(maxPaths / enemies.length))));
+    const paths = [];
+    enemies.forEach(e => friends.forEach(f => {
+        const dir = f.position.clone().sub(e.position);
+        const length = Math.min(dir.length(), missileRange);
+        if(length < 1) return;
+        paths.push({ from: e.position.clone(), dir: dir.normalize(), length, target: f.position.clone() });
+    }));
+    return paths;
+}
+
+// Fraction (0..1) of the paths a firewall at `pos` is expected to catch.
+export function coverage(pos, paths, range, sampleLength) {
+    if(!paths.length) return 0;
+    let caught = 0;
+    paths.forEach(p => {
+        // Closest approach of the segment to `pos`, then the chord the missile flies inside the sphere.
+        const t = THREE.MathUtils.clamp(_d.copy(pos).sub(p.from).dot(p.dir), 0, p.length);
+        const miss = _p.copy(p.from).addScaledVector(p.dir, t).distanceTo(pos);
+        if(miss >= range) return;
+        const half = Math.sqrt(range * range - miss * miss);
+        const chord = Math.min(t + half, p.length) - Math.max(t - half, 0);
+        caught += Math.min(1, chord / sampleLength);
+    });
+    return caught / paths.length;
+}
+
+const isSafe = (pos, friendShips, range) => friendShips.every(f => f.position.distanceTo(pos) >= range + SAFETY);
+
+// Best positions for the current fleets, missile type/speed and smartbomb, best first; ties go
+// to the one nearest `origin` (the firewall ship). Candidates are points along the sampled paths,
+// refined by a shrinking pattern search so the answer does not depend on the candidate spacing.
+export function adviseFirewall({ origin, enemyShips, friendShips, missileType, missileSpeed, sbRange, sbDamage, sbDamageType }, count = 3) {
+    const spec = MISSILE_CATALOG[missileType];
+    const paths = missilePaths(enemyShips, friendShips, missileSpeed * spec.flightTime, MAX_PATHS);
+    if(!paths.length) return [];
+    const perPulse = Math.max(sbDamage * (1 - (spec.resists[sbDamageType] || 0)), 1);
+    const sampleLength = missileSpeed * PULSE_CYCLE * Math.ceil(spec.hp / perPulse);
+    const score = (pos) => isSafe(pos, friendShips, sbRange) ? coverage(pos, paths, sbRange, sampleLength) : -1;
+
+    // Each path also gets its far end, hence the budget left after one point per path.
+    const spacing = Math.max(1000, paths.reduce((n, p) => n + p.length, 0) / (MAX_CANDIDATES - paths.length));
+    const candidates = [];
+    for(const p of paths) {
+        for(let s = p.length; s >= 0 && candidates.length < MAX_CANDIDATES; s -= spacing) {
+            const pos = p.from.clone().addScaledVector(p.dir, s);
+            candidates.push({ position: pos, fraction: score(pos) });
+        }
+    }
+    candidates.sort((a, b) => (b.fraction - a.fraction) || (a.position.distanceTo(origin) - b.position.distanceTo(origin)));
+
+    const picked = [];
+    const dirs = [[1,0,0], [-1,0,0], [0,1,0], [0,-1,0], [0,0,1], [0,0,-1]].map(d => new THREE.Vector3(...d));
+    for(const c of candidates) {
+        if(c.fraction <= 0 || picked.length >= count) break;
+        if(picked.some(p => p.position.distanceTo(c.position) < sbRange * 2)) continue;
+        for(let step = spacing; step >= 125; step /= 2) {
+            let moved = true;
+            while(moved) {
+                moved = false;
+                for(const d of dirs) {
+                    const pos = c.position.clone().addScaledVector(d, step);
+                    const f = score(pos);
+                    if(f > c.fraction) { c.position = pos; c.fraction = f; moved = true; }
+                }
+            }
+        }
+        if(!picked.some(p => p.position.distanceTo(c.position) < sbRange * 2)) picked.push(c);
+    }
+    return picked;
+}
@@ -0,0 +1,23 @@
+// --- CAPACITOR ---
+// EVE capacitor model. Recharge follows dC/dt = 10*Cmax/tau * (sqrt(c) - c), which peaks at 25%
+// charge. rechargeCap() uses the closed-form step so an empty capacitor still recovers.
+
+export function rechargeCap(cap, capacity, rechargeTime, dt) {
+    if(capacity <= 0) return 0;
+    const x = 1 + (Math.sqrt(Math.max(cap, 0) / capacity) - 1) * Math.exp(-5 * dt / rechargeTime);
+    return capacity * x * x;
+}
+
+// Steady-state answer for a constant drain in GJ/s: the level the capacitor settles at, or how
+// many seconds it lasts from `cap` when the drain beats peak recharge.
+export function capStability(capacity, rechargeTime, usage, cap = capacity) {
+    if(usage <= 0) return { stable: true, level: 1, lasts: Infinity };
+    const a = usage * rechargeTime / (10 * capacity);
+    if(a <= 0.25) {
+        const x = (1 + Math.sqrt(1 - 4 * a)) / 2;
+        return { stable: true, level: x * x, lasts: Infinity };
+    }
+    let c = cap, t = 0;
+    while(c > 0 && t < 3600) { c = rechargeCap(c, capacity, rechargeTime, 1) - usage; t++; }
+    return { stable: false, level: 0, lasts: t };
+}
@@ -0,0 +1,859 @@
+// --- SIMULATION CORE ---
+// Headless, deterministic engagement model. Everything that used to live in animate()
+// (ship physics, fleets, missiles, smartbomb cycles, STATS) is advanced here with a
+// fixed timestep; index.html only renders the state and sim/run.js drives it from Node.
+import * as THREE from 'three';
+import { DEFAULT_FIT, MODULE_CATALOG, normalizeFit, computeFitting } from './fitting.js';
+import { rechargeCap } from './capacitor.js';
+import { MISSILE_CATALOG, DEFAULT_MISSILE_TYPE, missileDamage } from './missiles.js';
+import { adviseFirewall } from './advisor.js';
+import { createRecording, recordStep } from './recorder.js';
+import { logLaunch, logApproach, logOutcome } from './missilelog.js';
+import { recordResolution } from './scoring.js';
+import { FLEET_SHIP_TYPES, DEFAULT_COMPOSITION, normalizeComposition, normalizeGroups } from './fleets.js';
+import SHIP_CATALOG from './ships.json' with { type: 'json' };
+
+export { SHIP_CATALOG, FLEET_SHIP_TYPES };
+export const DEFAULT_HULL = 'nestor';
+
+export const FIXED_DT = 1 / 60;
+export const MAX_MISSILES = 1000;
+export const MAX_FIREWALLS = 12;
+export const SB_RANGE_LIMITS = [0, 50000];
+
+const UP = new THREE.Vector3(0, 1, 0);
+const _m = new THREE.Matrix4();
+const _q = new THREE.Quaternion();
+const _v = new THREE.Vector3();
+
+// Seeded PRNG (mulberry32) so a run is reproducible from its seed.
+export function createRng(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = Math.imul(a ^ (a >>> 15), a | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Same orientation Object3D.lookAt() gives a non-camera object: +Z towards `to`.
+function lookRotation(out, from, to) {
+    _m.lookAt(to, from, UP);
+    return out.setFromRotationMatrix(_m);
+}
+
+// --- FLEETS ---
+// Friendly ships take the missile damage; ship types and groups live in fleets.js.
+export class Fleet {
+    constructor(state, type, groups, startPos, startDir) {
+        this.type=type; this.pos=startPos.clone(); this.headingVector=startDir.clone().normalize();
+        this.velocity=new THREE.Vector3(); this.rotation=new THREE.Quaternion(); this.timer=0;
+        this.spawn(state, groups);
+    }
+    // (Re)build the ships from composition groups, in place so references to the fleet stay valid.
+    spawn(state, groups) {
+        const rng = state.rng;
+        this.ships = []; this.volleyTimer = 0; this.volleyCalled = false;
+        groups.forEach(g => {
+            const spec = FLEET_SHIP_TYPES[g.ship];
+            for(let k=0; k<g.count; k++) {
+                const i = this.ships.length;
+                this.ships.push({
+                    id: state.shipSerial++, position: this.pos.clone(), quaternion: new THREE.Quaternion(),
+                    offset: new THREE.Vector3((rng()-0.5)*500, (rng()-0.5)*200, i*(this.type==='friend'?800:2000)),
+                    lineOffset: null,
+                    name: g.name+' '+(k+1), signature: g.signature, color: g.color, box: spec.box, launchers: [],
+                    shield: spec.shield, armor: spec.armor, hull: spec.hull,
+                    maxShield: spec.shield, maxArmor: spec.armor, maxHull: spec.hull
+                });
+            }
+        });
+        this.ships.forEach(s => { s.lineOffset = s.offset.clone(); });
+        this.initialCount = this.ships.length;
+        this.initialHp = this.ships.reduce((sum, ship) => sum + ship.maxShield + ship.maxArmor + ship.maxHull, 0);
+        this.placeShips();
+    }
+    // Fraction of the fleet's starting hitpoints still standing, dead ships counting as zero.
+    hpFraction() {
+        if(!this.initialHp) return 0;
+        return this.ships.reduce((sum, ship) => sum + ship.shield + ship.armor + ship.hull, 0) / this.initialHp;
+    }
+    update(state, dt, speed) {
+        const { SHIP_STATE, SETTINGS, rng } = state;
+        this.timer-=dt;
+        if(this.type === 'enemy' && SETTINGS.hostileBehavior !== 'wander') {
+            this.targetVec = this.steer(state);
+        } else if(this.type === 'enemy') {
+            const vectorFromPlayer = this.pos.clone().sub(SHIP_STATE.position);
+            const distDiff = vectorFromPlayer.length() - SETTINGS.hostileDist;
+            if(Math.abs(distDiff) > 1000) {
+                this.targetVec = vectorFromPlayer.normalize().multiplyScalar(distDiff > 0 ? -1 : 1);
+                this.timer = 1.0;
+            } else if (this.timer <= 0) {
+                const pTangent = new THREE.Vector3(-vectorFromPlayer.z, 0, vectorFromPlayer.x).normalize();
+                this.targetVec = pTangent.add(new THREE.Vector3((rng()-0.5), (rng()-0.5)*0.2, (rng()-0.5))).normalize();
+                this.timer = 5 + rng() * 5;
+            }
+        } else if(SETTINGS.friendlyAnchor !== 'wander') {
+            this.targetVec = this.anchorSteer(state);
+        } else {
+            if(this.timer<=0) {
+                this.targetVec=new THREE.Vector3((rng()-0.5), (rng()-0.5)*0.5, (rng()-0.5)).normalize();
+                this.timer=10+rng()*15;
+            }
+        }
+        const dV=this.targetVec?this.targetVec.clone().multiplyScalar(speed):this.headingVector.clone().multiplyScalar(speed);
+        this.velocity.lerp(dV, dt*0.3);
+        this.pos.addScaledVector(this.velocity, dt);
+        if(this.velocity.lengthSq() > 1) {
+            lookRotation(_q, this.pos, _v.copy(this.pos).add(this.velocity));
+            this.rotation.slerp(_q, dt*2.0);
+        }
+        this.placeShips();
+    }
+    // Hostile doctrines. Returns the desired direction scaled 0..1; a zero vector means hold still.
+    //   orbit     - circle the friendly fleet at SETTINGS.hostileOrbit
+    //   keepRange - sit at SETTINGS.hostileDist from the firewall ship and stop there
+    //   approach  - close on the friendly fleet and anchor at SETTINGS.hostileAnchor
+    //   kite      - run from the firewall ship inside SETTINGS.hostileDist, circle it outside
+    steer(state) {
+        const { SHIP_STATE, SETTINGS, friendFleet } = state;
+        const circle = (center, radius) => {
+            const r = this.pos.clone().sub(center); const d = r.length() || 1;
+            const tangent = new THREE.Vector3(-r.z, 0, r.x).normalize();
+            return tangent.addScaledVector(r, THREE.MathUtils.clamp((radius - d) / 2000, -1, 1) / d).normalize();
+        };
+        switch(SETTINGS.hostileBehavior) {
+            case 'orbit': return circle(friendFleet.pos, SETTINGS.hostileOrbit);
+            case 'keepRange': {
+                const v = this.pos.clone().sub(SHIP_STATE.position); const diff = v.length() - SETTINGS.hostileDist;
+                return Math.abs(diff) > 1000 ? v.normalize().multiplyScalar(diff > 0 ? -1 : 1) : new THREE.Vector3();
+            }
+            case 'approach': {
+                const v = friendFleet.pos.clone().sub(this.pos);
+                return v.length() > SETTINGS.hostileAnchor ? v.normalize() : new THREE.Vector3();
+            }
+            case 'kite': {
+                const away = this.pos.clone().sub(SHIP_STATE.position);
+                return away.length() < SETTINGS.hostileDist ? away.normalize() : circle(SHIP_STATE.position, SETTINGS.hostileDist);
+            }
+        }
+        return new THREE.Vector3();
+    }
+    // Friendly anchoring. 'player' and 'beacon' close on the anchor and stop within
+    // SETTINGS.anchorRange; 'align' flies the FC's bearing at 75% speed, as an aligned fleet does.
+    anchorSteer(state) {
+        const { SHIP_STATE, SETTINGS } = state;
+        if(SETTINGS.friendlyAnchor === 'align') {
+            const a = THREE.MathUtils.degToRad(SETTINGS.fcBearing);
+            return new THREE.Vector3(Math.sin(a), 0, Math.cos(a)).multiplyScalar(0.75);
+        }
+        const anchor = SETTINGS.friendlyAnchor === 'player' ? SHIP_STATE.position : state.beacon;
+        const v = anchor.clone().sub(this.pos);
+        return v.length() > SETTINGS.anchorRange ? v.normalize() : new THREE.Vector3();
+    }
+    // Rebuild the per-ship offsets: 'line' is the spawn column, 'ball' packs the ships on a sphere,
+    // 'spread' lays them out on a wide flat grid.
+    arrange(formation) {
+        const n = this.ships.length;
+        const cols = Math.ceil(Math.sqrt(n));
+        const ballRadius = 400 * Math.cbrt(n);
+        this.ships.forEach((s, i) => {
+            if(formation === 'ball') {
+                const y = n > 1 ? 1 - 2 * i / (n - 1) : 0; const r = Math.sqrt(1 - y * y); const a = i * Math.PI * (3 - Math.sqrt(5));
+                s.offset.set(Math.cos(a) * r, y, Math.sin(a) * r).multiplyScalar(ballRadius);
+            } else if(formation === 'spread') {
+                s.offset.set((i % cols - (cols - 1) / 2) * 2500, 0, (Math.floor(i / cols) - (Math.ceil(n / cols) - 1) / 2) * 2500);
+            } else s.offset.copy(s.lineOffset);
+        });
+        this.placeShips();
+    }
+    placeShips() {
+        this.ships.forEach(s=>{
+            s.position.copy(this.pos).add(s.offset.clone().applyQuaternion(this.rotation));
+            s.quaternion.copy(this.rotation);
+        });
+    }
+}
+
+// --- STATE ---
+export function defaultSettings() {
+    return {
+        tactical: false, overlay: false, flares: true, sbvis: true,
+        sbRange: 7000, hostileSpeed: 1200, hostileDist: 50000, friendlySpeed: 350,
+        missileType: DEFAULT_MISSILE_TYPE, missileSpeed: MISSILE_CATALOG[DEFAULT_MISSILE_TYPE].velocity,
+        spawningEnabled: true, fixedDt: FIXED_DT,
+        serverTick: false, tickRate: 1, sweepTracking: false, guidance: 'cinematic',
+        launchersPerShip: 6, rateOfFire: 10, volleyMode: 'staggered',
+        hostileBehavior: 'wander', hostileOrbit: 30000, hostileAnchor: 20000,
+        friendlyAnchor: 'wander', anchorRange: 2500, fcBearing: 0, formation: 'line',
+        advisor: false, firewallStagger: false
+    };
+}
+
+export function createState({ seed = Math.floor(Math.random() * 4294967296), hull = DEFAULT_HULL, fit = DEFAULT_FIT, composition = DEFAULT_COMPOSITION } = {}) {
+    // NESTOR holds the fitted ship numbers the physics reads; applyFitting() rebuilds it from HULL + FITTING.
+    if(!SHIP_CATALOG[hull]) throw new Error(`Unknown hull: ${hull}`);
+    const HULL = { id: hull, ...SHIP_CATALOG[hull] };
+    const FITTING = normalizeFit(HULL, fit);
+    const NESTOR = computeFitting(HULL, FITTING);
+
+    const SHIP_STATE = {
+        mass: NESTOR.baseMass + NESTOR.plateMass,
+        inertia: NESTOR.inertiaMod * (NESTOR.baseMass + NESTOR.plateMass) * 0.000001, maxSpeed: NESTOR.baseSpeed,
+        velocity: new THREE.Vector3(0,0,0), heading: new THREE.Quaternion(),
+        targetHeading: new THREE.Vector3(0,0,-1), speed: 0, position: new THREE.Vector3(0,0,0),
+        cap: NESTOR.capCapacity, throttle: 1, nav: null
+    };
+
+    const MODULES = {
+        ab: { active: false, stopping: false, timer: 0, duration: 10 },
+        mwd: { active: false, stopping: false, timer: 0, duration: 10 },
+        sb: { active: false, timer: 0, duration: 0 }
+    };
+
+    const SETTINGS = defaultSettings();
+
+    const STATS = {
+        spawned: 0, killed: 0, escapedOutOfRange: 0, escapedBetweenCycles: 0, escapedTanked: 0,
+        impacted: 0, expired: 0, damageTaken: 0, damagePrevented: 0, shipsLost: 0, byType: {}, recent: [], bySource: {}
+    };
+
+    const missiles = [];
+    for(let i=0; i<MAX_MISSILES; i++) {
+        missiles.push({
+            active:false, pos:new THREE.Vector3(), prevPos:new THREE.Vector3(), vel:new THREE.Vector3(), id:i, target:null, lifeTime:0,
+            type:null, speed:0, flightTime:0,
+            crossed:false, escape:null,
+            hp:0, maxHp:0, resists:null, hits:0, serial:0, log:null
+        });
+    }
+
+    // `events` collects one-shot happenings (pulses, score changes) for the renderer to drain.
+    // `tickAlpha` is how far (0..1) the client is between the last two server ticks.
+    const state = {
+        seed, rng: createRng(seed), time: 0, accumulator: 0, spawnHold: 0, events: [],
+        tickTimer: 0, tickAlpha: 1, align: null, alignLog: [], beacon: new THREE.Vector3(5000,0,0), scenario: null,
+        shipSerial: 0, launches: 0, recorder: null, missileLog: [], firewalls: [], firewallSerial: 0,
+        HULL, FITTING, NESTOR, SHIP_STATE, MODULES, SETTINGS, STATS, missiles,
+        COMPOSITION: normalizeComposition(composition),
+        // Kept as one object with a live `position` so it can be a navigation target.
+        advice: { name: 'Advised Position', position: new THREE.Vector3(), fraction: 0, valid: false, alternates: [], timer: 0 }
+    };
+    state.friendFleet = new Fleet(state, 'friend', state.COMPOSITION.friend, state.beacon, new THREE.Vector3(0,0,1));
+    state.enemyFleet = new Fleet(state, 'enemy', state.COMPOSITION.enemy, new THREE.Vector3(-50000,0,-10000), new THREE.Vector3(0,0,1));
+    return state;
+}
+
+// --- COMMANDS ---
+export function setFormation(state, formation) {
+    state.SETTINGS.formation = formation;
+    state.friendFleet.arrange(formation);
+}
+
+// Drop the friendly anchor beacon where the fleet currently sits.
+export function dropBeacon(state) {
+    state.beacon.copy(state.friendFleet.pos);
+}
+
+export function toggleModule(state, m) {
+    const { MODULES, NESTOR } = state;
+    const mod = MODULES[m];
+    if(mod.active) { mod.stopping = !mod.stopping; }
+    else {
+        if(!NESTOR[m + 'Fitted']) return;
+        if(m === 'ab' && MODULES.mwd.active) return;
+        if(m === 'mwd' && MODULES.ab.active) return;
+        if(!drainCap(state, NESTOR[m + 'Cap'])) return;
+        mod.active = true; mod.stopping = false; mod.timer = mod.duration;
+    }
+}
+
+// Pay a module's activation cost. False (and nothing drained) when the capacitor can't cover it.
+function drainCap(state, need) {
+    const { SHIP_STATE } = state;
+    if(SHIP_STATE.cap < need) return false;
+    SHIP_STATE.cap -= need;
+    return true;
+}
+
+// Recompute the ship's physics numbers after the fit changed. Modules that are no longer
+// fitted shut off immediately.
+export function applyFitting(state) {
+    const { HULL, FITTING, NESTOR, MODULES, SHIP_STATE } = state;
+    Object.assign(NESTOR, computeFitting(HULL, FITTING));
+    ['ab', 'mwd'].forEach(k => {
+        if(!NESTOR[k + 'Fitted']) Object.assign(MODULES[k], { active: false, stopping: false, timer: 0 });
+    });
+    if(!NESTOR.sbFitted) MODULES.sb.active = false;
+    SHIP_STATE.cap = Math.min(SHIP_STATE.cap, NESTOR.capCapacity);
+}
+
+// Swap the player hull, keeping whatever part of the current fit its slot layout allows.
+export function setHull(state, id) {
+    if(!SHIP_CATALOG[id]) throw new Error(`Unknown hull: ${id}`);
+    state.HULL = { id, ...SHIP_CATALOG[id] };
+    const fit = normalizeFit(state.HULL, state.FITTING);
+    Object.keys(state.FITTING).forEach(k => { delete state.FITTING[k]; });
+    Object.assign(state.FITTING, fit);
+    applyFitting(state);
+}
+
+export function fitModule(state, slot, index, id) {
+    state.FITTING[slot][index] = id || null;
+    Object.assign(state.FITTING, normalizeFit(state.HULL, state.FITTING));
+    applyFitting(state);
+}
+
+// Steer towards a new heading and start measuring how long the ship takes to align on it.
+export function setHeading(state, dir) {
+    const { SHIP_STATE } = state;
+    SHIP_STATE.targetHeading.copy(dir).normalize();
+    SHIP_STATE.nav = null; SHIP_STATE.throttle = 1;
+    startAlign(state);
+}
+
+function startAlign(state) {
+    const { SHIP_STATE } = state;
+    state.align = {
+        start: state.time, elapsed: 0, progress: 0, done: false,
+        predicted: Math.log(4) * SHIP_STATE.inertia
+    };
+}
+
+export function toggleSmartbomb(state) {
+    const { MODULES, NESTOR, SHIP_STATE } = state;
+    if(!MODULES.sb.active && (!NESTOR.sbFitted || SHIP_STATE.cap < NESTOR.sbCap)) return;
+    MODULES.sb.active = !MODULES.sb.active;
+}
+
+// Point the hostile launchers at a catalog missile type; the velocity slider follows the type.
+export function setMissileType(state, type) {
+    if(!MISSILE_CATALOG[type]) throw new Error(`Unknown missile type: ${type}`);
+    state.SETTINGS.missileType = type;
+    state.SETTINGS.missileSpeed = MISSILE_CATALOG[type].velocity;
+}
+
+export function resetStats(STATS) {
+    Object.keys(STATS).forEach(k => { if(typeof STATS[k] === 'number') STATS[k] = 0; });
+    STATS.byType = {}; STATS.recent = []; STATS.bySource = {};
+}
+
+// Per missile type counters, created on first use.
+function typeStats(STATS, type) {
+    return STATS.byType[type] || (STATS.byType[type] = { spawned: 0, killed: 0, escaped: 0 });
+}
+
+export function relocateHostiles(state) {
+    const { SETTINGS, SHIP_STATE, STATS, enemyFleet, rng } = state;
+    const r = SETTINGS.hostileDist; const theta = rng() * Math.PI * 2; const phi = Math.acos(2 * rng() - 1);
+    const x = r * Math.sin(phi) * Math.cos(theta); const y = r * Math.sin(phi) * Math.sin(theta); const z = r * Math.cos(phi);
+    enemyFleet.pos.copy(SHIP_STATE.position).add(new THREE.Vector3(x, y, z)); enemyFleet.velocity.set(0,0,0);
+    enemyFleet.placeShips();
+    state.missiles.forEach(m => { m.active = false; });
+    resetStats(STATS); state.missileLog.length = 0;
+    state.spawnHold = 5;
+    state.events.push({ type: 'score' });
+}
+
+// Snapshots go to state.recorder after every step until stopRecording(); see recorder.js.
+export function startRecording(state, rate) {
+    state.recorder = createRecording(state, rate);
+    return state.recorder;
+}
+
+export function stopRecording(state) {
+    const rec = state.recorder;
+    state.recorder = null;
+    return rec;
+}
+
+// Composition edits only take effect on respawnFleets().
+export function setComposition(state, side, groups) {
+    state.COMPOSITION[side] = normalizeGroups(side, groups);
+}
+
+// Rebuild both fleets from COMPOSITION where they stand and start a fresh engagement.
+export function respawnFleets(state) {
+    const { SETTINGS, STATS, COMPOSITION, friendFleet, enemyFleet } = state;
+    friendFleet.spawn(state, COMPOSITION.friend); friendFleet.arrange(SETTINGS.formation);
+    enemyFleet.spawn(state, COMPOSITION.enemy);
+    state.missiles.forEach(m => { m.active = false; m.target = null; });
+    state.SHIP_STATE.nav = null;
+    resetStats(STATS); state.missileLog.length = 0;
+    state.spawnHold = 5;
+    state.events.push({ type: 'fleetsSpawned' }, { type: 'score' });
+}
+
+// EVE movement commands against anything with a `position` (fleet ships, the beacon).
+// mode: 'approach' | 'orbit' | 'keepRange' | 'alignTo'; `range` is used by orbit and keepRange.
+export function navigate(state, mode, target, range = 0) {
+    const { SHIP_STATE } = state;
+    SHIP_STATE.nav = { mode, target, range };
+    SHIP_STATE.throttle = 1;
+    stepNavigation(state);
+    if(mode === 'alignTo') startAlign(state);
+}
+
+export function stopShip(state) {
+    state.SHIP_STATE.nav = null;
+    state.SHIP_STATE.throttle = 0;
+}
+
+// --- STEP ---
+// Re-aim targetHeading (and throttle) at the navigation target every step. Approach and keep at
+// range ease the throttle off inside the stopping distance, which is about v*k for EVE's exponential.
+function stepNavigation(state) {
+    const { SHIP_STATE } = state;
+    const nav = SHIP_STATE.nav;
+    if(!nav) return;
+    const v = nav.target.position.clone().sub(SHIP_STATE.position);
+    const d = v.length();
+    if(d < 1) return;
+    if(nav.mode === 'orbit') {
+        const tangent = new THREE.Vector3(-v.z, 0, v.x).normalize();
+        if(tangent.lengthSq() === 0) tangent.set(1, 0, 0);
+        SHIP_STATE.targetHeading.copy(tangent).addScaledVector(v, THREE.MathUtils.clamp((d - nav.range) / 1000, -1, 1) / d).normalize();
+        SHIP_STATE.throttle = 1;
+        return;
+    }
+    SHIP_STATE.targetHeading.copy(v).divideScalar(d);
+    if(nav.mode === 'alignTo') return;
+    const stop = Math.max(SHIP_STATE.maxSpeed * SHIP_STATE.inertia, 100);
+    const range = nav.mode === 'approach' ? 50 : nav.range;
+    SHIP_STATE.throttle = THREE.MathUtils.clamp((d - range) / stop, 0, 1);
+}
+
+// Re-run the advisor once a second while it is switched on; the fleets drift slowly enough.
+function stepAdvisor(state, dt) {
+    const { SETTINGS, NESTOR, advice, friendFleet, enemyFleet } = state;
+    if(!SETTINGS.advisor) { advice.valid = false; return; }
+    advice.timer -= dt;
+    if(advice.valid && advice.timer > 0) return;
+    advice.timer = 1.0;
+    const best = adviseFirewall({
+        origin: state.SHIP_STATE.position, enemyShips: enemyFleet.ships, friendShips: friendFleet.ships,
+        missileType: SETTINGS.missileType, missileSpeed: SETTINGS.missileSpeed,
+        sbRange: SETTINGS.sbRange, sbDamage: NESTOR.sbDamage, sbDamageType: NESTOR.sbDamageType
+    });
+    advice.valid = best.length > 0;
+    if(!advice.valid) return;
+    advice.position.copy(best[0].position); advice.fraction = best[0].fraction;
+    advice.alternates = best.slice(1);
+}
+
+function stepCapacitor(state, dt) {
+    const { SHIP_STATE, NESTOR } = state;
+    SHIP_STATE.cap = rechargeCap(SHIP_STATE.cap, NESTOR.capCapacity, NESTOR.capRecharge, dt);
+}
+
+function stepModules(state, dt) {
+    ['ab', 'mwd'].forEach(k => {
+        const m = state.MODULES[k];
+        if(m.active) {
+            m.timer -= dt;
+            if(m.timer <= 0) {
+                if(m.stopping) { m.active = false; m.stopping = false; m.timer = 0; }
+                else if(drainCap(state, state.NESTOR[k + 'Cap'])) { m.timer = m.duration; }
+                else { m.active = false; m.stopping = false; m.timer = 0; state.events.push({ type: 'capOut', module: k }); }
+            }
+        }
+    });
+}
+
+function stepShip(state, dt) {
+    const { NESTOR, SHIP_STATE, MODULES } = state;
+    let currentMass = NESTOR.baseMass + NESTOR.plateMass;
+    let currentMaxSpeed = NESTOR.baseSpeed;
+    if(MODULES.ab.active) { currentMass += NESTOR.abMass; currentMaxSpeed = NESTOR.abSpeed; }
+    else if (MODULES.mwd.active) { currentMass += NESTOR.mwdMass; currentMaxSpeed = NESTOR.mwdSpeed; }
+
+    const k = NESTOR.inertiaMod * currentMass * 0.000001;
+    SHIP_STATE.mass = currentMass; SHIP_STATE.inertia = k; SHIP_STATE.maxSpeed = currentMaxSpeed;
+
+    const turnSpeed = Math.min(dt * (1.0 / k) * 4.0, 1.0);
+    lookRotation(_q, SHIP_STATE.position, _v.copy(SHIP_STATE.position).add(SHIP_STATE.targetHeading));
+    SHIP_STATE.heading.slerp(_q, turnSpeed);
+
+    const noseDir = new THREE.Vector3(0,0,1).applyQuaternion(SHIP_STATE.heading).normalize();
+    if(isNaN(noseDir.x)) noseDir.set(0,0,1);
+    const targetVel = noseDir.multiplyScalar(currentMaxSpeed * SHIP_STATE.throttle);
+    const decay = Math.exp(-dt / k);
+    SHIP_STATE.velocity.sub(targetVel).multiplyScalar(decay).add(targetVel);
+    SHIP_STATE.position.addScaledVector(SHIP_STATE.velocity, dt);
+    SHIP_STATE.speed = SHIP_STATE.velocity.length();
+}
+
+// Warp alignment: the ship is aligned once its velocity along the target heading reaches
+// 75% of max speed. Progress is measured from the actual velocity, not from ln(4)*k.
+function stepAlign(state) {
+    const { SHIP_STATE } = state;
+    const a = state.align;
+    if(!a || a.done) return;
+    a.elapsed = state.time - a.start;
+    const along = SHIP_STATE.velocity.dot(SHIP_STATE.targetHeading);
+    a.progress = THREE.MathUtils.clamp(along / (0.75 * SHIP_STATE.maxSpeed), 0, 1);
+    if(a.progress >= 1) {
+        a.done = true;
+        const entry = { start: a.start, duration: a.elapsed, predicted: a.predicted };
+        state.alignLog.push(entry);
+        state.events.push({ type: 'aligned', ...entry });
+    }
+}
+
+// --- ALLIED FIREWALLS ---
+// AI smartbomb ships holding station at `offset` from the friendly fleet. Each cycles its own
+// `smartbomb` (a MODULE_CATALOG id) over its own `sbRange` and needs no capacitor; `phase`
+// (0..1 s) is how far into its cycle it starts. With SETTINGS.firewallStagger the phases are
+// instead kept spread evenly over the cycle, after the player's pulse when the player's
+// smartbomb is running.
+
+// New firewalls take the player's smartbomb as fitted at that moment (the stock one if none is);
+// refitting the player later does not change them.
+function playerSmartbomb(state) {
+    return state.FITTING.high.find(id => id && MODULE_CATALOG[id].smartbomb) || DEFAULT_FIT.high[0];
+}
+
+// Editor fields can hand over anything (parseFloat('') is NaN), so ranges are clamped and
+// anything that is not a number falls back to the default range or phase 0.
+const firewallRange = (state, v) => Number.isFinite(v) ? THREE.MathUtils.clamp(v, ...SB_RANGE_LIMITS) : state.SETTINGS.sbRange;
+const firewallPhase = (v) => Number.isFinite(v) ? THREE.MathUtils.euclideanModulo(v, 1) : 0;
+
+// Returns the new firewall, or null once MAX_FIREWALLS are out.
+export function addFirewall(state, { offset = [0, 0, 0], sbRange = state.SETTINGS.sbRange, phase = 0, smartbomb = playerSmartbomb(state) } = {}) {
+    if(state.firewalls.length >= MAX_FIREWALLS) return null;
+    const fw = {
+        name: `Firewall ${++state.firewallSerial}`, offset: new THREE.Vector3().fromArray(offset),
+        position: state.friendFleet.pos.clone().add(new THREE.Vector3().fromArray(offset)),
+        sbRange: firewallRange(state, sbRange), phase: firewallPhase(phase), smartbomb, pulses: 0
+    };
+    fw.timer = fw.phase;
+    state.firewalls.push(fw);
+    state.events.push({ type: 'firewallsChanged' });
+    return fw;
+}
+
+export function updateFirewall(state, index, { offset, sbRange, phase, smartbomb } = {}) {
+    const fw = state.firewalls[index];
+    if(offset) fw.offset.fromArray(offset);
+    if(sbRange !== undefined) fw.sbRange = firewallRange(state, sbRange);
+    if(smartbomb !== undefined) fw.smartbomb = smartbomb;
+    if(phase !== undefined) { fw.phase = firewallPhase(phase); fw.timer = fw.phase; }
+    state.events.push({ type: 'firewallsChanged' });
+}
+
+export function removeFirewall(state, index) {
+    state.firewalls.splice(index, 1);
+    state.events.push({ type: 'firewallsChanged' });
+}
+
+// Replace the firewalls with `count` ships spaced evenly on a horizontal ring of `radius` around
+// the fleet, the first one on the side facing the hostiles. At most MAX_FIREWALLS are placed.
+export function ringFirewalls(state, count, radius) {
+    const { friendFleet, enemyFleet } = state;
+    count = Number.isFinite(count) ? THREE.MathUtils.clamp(Math.floor(count), 0, MAX_FIREWALLS) : 0;
+    const toEnemy = enemyFleet.pos.clone().sub(friendFleet.pos);
+    const base = Math.atan2(toEnemy.x, toEnemy.z);
+    state.firewalls.length = 0; state.firewallSerial = 0;
+    for(let i = 0; i < count; i++) {
+        const a = base + i * Math.PI * 2 / count;
+        addFirewall(state, { offset: [Math.sin(a) * radius, 0, Math.cos(a) * radius] });
+    }
+}
+
+// Where each firewall's timer belongs in staggered mode: offset by equal fractions of the cycle
+// from the player's smartbomb if it runs, else from the first firewall.
+function staggerTimers(state) {
+    const { firewalls, MODULES } = state;
+    const player = MODULES.sb.active;
+    const slots = firewalls.length + (player ? 1 : 0);
+    return firewalls.map((fw, i) => player
+        ? THREE.MathUtils.euclideanModulo(MODULES.sb.timer - (i + 1) / slots, 1)
+        : THREE.MathUtils.euclideanModulo(firewalls[0].timer - i / slots, 1));
+}
+
+function stepFirewalls(state, dt) {
+    const { firewalls, friendFleet } = state;
+    if(!firewalls.length) return;
+    if(state.SETTINGS.firewallStagger) staggerTimers(state).forEach((t, i) => { firewalls[i].timer = t; });
+    firewalls.forEach(fw => {
+        fw.position.copy(friendFleet.pos).add(fw.offset);
+        fw.timer += dt;
+        while(fw.timer >= 1.0) {
+            fw.timer -= 1.0; fw.pulses++;
+            state.events.push({ type: 'sbPulse', position: fw.position.clone(), firewall: fw.name, range: fw.sbRange });
+            const sb = MODULE_CATALOG[fw.smartbomb];
+            pulseSmartbomb(state, fw.position, fw.sbRange, fw.name, sb.damage, sb.damageType);
+        }
+    });
+}
+
+// --- LAUNCHERS ---
+// Every hostile ship carries SETTINGS.launchersPerShip launchers cycling at SETTINGS.rateOfFire.
+// 'staggered' lets each launcher run its own cycle; 'synchronized' fires the whole fleet together
+// at one primary every cycle; 'onCall' reloads and then holds until callVolley().
+function stepLaunchers(state, dt) {
+    const { SETTINGS, enemyFleet, friendFleet, rng } = state;
+    const firing = SETTINGS.spawningEnabled && state.spawnHold <= 0 && friendFleet.ships.length > 0;
+    enemyFleet.ships.forEach(ship => {
+        while(ship.launchers.length < SETTINGS.launchersPerShip) ship.launchers.push(rng() * SETTINGS.rateOfFire);
+        ship.launchers.length = SETTINGS.launchersPerShip;
+    });
+
+    if(SETTINGS.volleyMode === 'staggered') {
+        enemyFleet.ships.forEach(ship => ship.launchers.forEach((timer, i) => {
+            ship.launchers[i] = Math.max(0, timer - dt);
+            if(ship.launchers[i] > 0 || !firing) return;
+            launchMissile(state, ship, friendFleet.ships[Math.floor(rng()*friendFleet.ships.length)], i);
+            ship.launchers[i] = SETTINGS.rateOfFire;
+        }));
+        return;
+    }
+
+    enemyFleet.volleyTimer = Math.max(0, enemyFleet.volleyTimer - dt);
+    // A call made while reloading stays queued until the launchers are loaded again.
+    if(SETTINGS.volleyMode !== 'onCall') enemyFleet.volleyCalled = false;
+    if(enemyFleet.volleyTimer > 0 || !firing) return;
+    if(SETTINGS.volleyMode === 'onCall' && !enemyFleet.volleyCalled) return;
+    enemyFleet.volleyCalled = false;
+    const primary = friendFleet.ships[Math.floor(rng()*friendFleet.ships.length)];
+    enemyFleet.ships.forEach(ship => ship.launchers.forEach((_, i) => launchMissile(state, ship, primary, i)));
+    enemyFleet.volleyTimer = SETTINGS.rateOfFire;
+}
+
+// FC's call: in 'onCall' mode the fleet fires on the next step, or as soon as it has reloaded.
+export function callVolley(state) {
+    state.enemyFleet.volleyCalled = true;
+}
+
+function launchMissile(state, h, t, launcher) {
+    const { SETTINGS, STATS, rng } = state;
+    const m = state.missiles.find(x=>!x.active);
+    if(!m) return;
+    const spec = MISSILE_CATALOG[SETTINGS.missileType];
+    m.active=true; m.serial = ++state.launches; STATS.spawned++; typeStats(STATS, SETTINGS.missileType).spawned++;
+    m.type = SETTINGS.missileType; m.speed = SETTINGS.missileSpeed; m.flightTime = spec.flightTime;
+    m.pos.copy(h.position); m.prevPos.copy(m.pos); m.target = t; m.lifeTime = 0;
+    m.crossed = false; m.escape = null;
+    m.hp = m.maxHp = spec.hp; m.resists = spec.resists; m.hits = 0;
+    if(SETTINGS.guidance === 'eve') m.vel.copy(t.position).sub(m.pos).normalize().multiplyScalar(m.speed);
+    else m.vel.set((rng()-0.5), (rng()-0.5), (rng()-0.5)).normalize().multiplyScalar(2000);
+    logLaunch(state, m, h, launcher);
+    state.events.push({ type: 'score' });
+}
+
+function stepMissiles(state, dt) {
+    const eve = state.SETTINGS.guidance === 'eve';
+    state.missiles.forEach(m=>{
+        if(!m.active) return;
+        if(eve) stepEveMissile(state, m, dt); else stepCinematicMissile(state, m, dt);
+        logApproach(state, m);
+    });
+    sweepMissiles(state);
+}
+
+// Cinematic: launched in a random direction and lerp-steered onto the target, so paths curve.
+function stepCinematicMissile(state, m, dt) {
+    const turnRate = Math.min(dt * 8.0, 1.0);
+    m.lifeTime += dt;
+    m.prevPos.copy(m.pos);
+    if(m.target) {
+        const desired = m.target.position.clone().sub(m.pos).normalize().multiplyScalar(m.speed);
+        m.vel.lerp(desired, turnRate);
+        // A missile that would reach its target within this step impacts now instead of overshooting.
+        if(m.pos.distanceTo(m.target.position) < Math.max(120, m.vel.length() * dt)) {
+            m.pos.copy(m.target.position);
+            logApproach(state, m);
+            impactMissile(state, m);
+            return;
+        }
+    }
+    m.pos.addScaledVector(m.vel, dt);
+    if(m.lifeTime > m.flightTime) expireMissile(state, m);
+}
+
+// EVE-accurate: constant velocity straight at the target's current position, and the missile
+// is spent after exactly velocity x flight time of travel.
+function stepEveMissile(state, m, dt) {
+    const flight = Math.min(dt, m.flightTime - m.lifeTime);
+    m.lifeTime += flight;
+    m.prevPos.copy(m.pos);
+    if(m.target) {
+        const toTarget = _v.copy(m.target.position).sub(m.pos);
+        const dist = toTarget.length();
+        if(dist <= m.speed * flight) {
+            m.pos.copy(m.target.position);
+            logApproach(state, m);
+            impactMissile(state, m);
+            return;
+        }
+        m.vel.copy(toTarget).multiplyScalar(m.speed / dist);
+    }
+    m.pos.addScaledVector(m.vel, flight);
+    if(m.lifeTime >= m.flightTime) expireMissile(state, m);
+}
+
+function impactMissile(state, m) {
+    m.active = false;
+    applyMissileHit(state, m);
+    typeStats(state.STATS, m.type).escaped++;
+    classifyEscape(state, m);
+    logOutcome(state, m, 'impacted');
+    recordResolution(state.STATS, state.time, false);
+    state.events.push({ type: 'score' });
+}
+
+function expireMissile(state, m) {
+    m.active = false;
+    state.STATS.expired++;
+    typeStats(state.STATS, m.type).escaped++;
+    classifyEscape(state, m);
+    logOutcome(state, m, 'expired');
+    recordResolution(state.STATS, state.time, false);
+    state.events.push({ type: 'score' });
+}
+
+// Shield, then armor, then hull. A ship at zero hull leaves its fleet and any missile still
+// chasing it loses its target.
+function applyMissileHit(state, m) {
+    const { STATS, friendFleet } = state;
+    const ship = m.target;
+    const dmg = missileDamage(MISSILE_CATALOG[m.type], ship.signature, friendFleet.velocity.length());
+    STATS.impacted++; STATS.damageTaken += dmg;
+    let rest = dmg;
+    ['shield', 'armor', 'hull'].forEach(layer => {
+        const taken = Math.min(ship[layer], rest);
+        ship[layer] -= taken; rest -= taken;
+    });
+    if(ship.hull > 0) return;
+    const fleet = [state.friendFleet, state.enemyFleet].find(f => f.ships.includes(ship));
+    fleet.ships.splice(fleet.ships.indexOf(ship), 1);
+    state.missiles.forEach(o => { if(o.target === ship) o.target = null; });
+    if(state.SHIP_STATE.nav && state.SHIP_STATE.nav.target === ship) state.SHIP_STATE.nav = null;
+    STATS.shipsLost++;
+    state.events.push({ type: 'shipDestroyed', ship });
+}
+
+// --- SWEPT-VOLUME TRACKING ---
+// Each step's path segment is tested against every smartbomb sphere that is cycling: the
+// player's while its smartbomb runs, and every allied firewall's. A missile whose path crossed
+// one is marked, which tells apart missiles that never came in range from ones that flew
+// through a sphere between two pulses.
+const _seg = new THREE.Line3();
+const _closest = new THREE.Vector3();
+
+function sweptThroughSphere(state, m) {
+    _seg.set(m.prevPos, m.pos);
+    const hit = (center, range) => _seg.closestPointToPoint(center, true, _closest).distanceToSquared(center) < range * range;
+    if(state.MODULES.sb.active && hit(state.SHIP_STATE.position, state.SETTINGS.sbRange)) return true;
+    return state.firewalls.some(fw => hit(fw.position, fw.sbRange));
+}
+
+function sweepMissiles(state) {
+    if(!state.SETTINGS.sweepTracking) return;
+    state.missiles.forEach(m => { if(m.active && !m.crossed && sweptThroughSphere(state, m)) m.crossed = true; });
+}
+
+function classifyEscape(state, m) {
+    const { SETTINGS, STATS } = state;
+    if(!SETTINGS.sweepTracking) return;
+    if(sweptThroughSphere(state, m)) m.crossed = true;
+    // A missile that took pulses and survived was tanked, not missed.
+    m.escape = m.hits > 0 ? 'tanked' : m.crossed ? 'betweenCycles' : 'outOfRange';
+    if(m.escape === 'tanked') STATS.escapedTanked++;
+    else if(m.crossed) STATS.escapedBetweenCycles++; else STATS.escapedOutOfRange++;
+    state.events.push({ type: 'score' });
+}
+
+function stepSmartbomb(state, dt) {
+    const { MODULES, SETTINGS, SHIP_STATE, STATS } = state;
+    if(!MODULES.sb.active) return;
+    MODULES.sb.timer+=dt;
+    if(MODULES.sb.timer<1.0) return;
+    // A server tick longer than the cycle still fires every cycle it covers.
+    while(MODULES.sb.timer >= 1.0) {
+        MODULES.sb.timer-=1.0;
+        if(!drainCap(state, state.NESTOR.sbCap)) {
+            MODULES.sb.active = false; MODULES.sb.timer = 0;
+            state.events.push({ type: 'capOut', module: 'sb' });
+            return;
+        }
+        state.events.push({ type: 'sbPulse', position: SHIP_STATE.position.clone() });
+        pulseSmartbomb(state, SHIP_STATE.position, SETTINGS.sbRange, state.HULL.name, state.NESTOR.sbDamage, state.NESTOR.sbDamageType);
+    }
+}
+
+// One smartbomb pulse from `source` (a ship name, for kill attribution).
+function pulseSmartbomb(state, position, range, source, sbDamage, sbDamageType) {
+    const { STATS } = state;
+    let k=0;
+    const rSq=range * range;
+    state.missiles.forEach(m=>{
+        if(m.active && m.pos.distanceToSquared(position) < rSq){
+            m.hp -= sbDamage * (1 - (m.resists[sbDamageType] || 0)); m.hits++;
+            if(m.hp <= 0) {
+                m.active=false; k++; typeStats(STATS, m.type).killed++; logOutcome(state, m, 'smartbombed', source);
+                recordResolution(STATS, state.time, true);
+                // What the missile would have done to its target, had it arrived now.
+                if(m.target) STATS.damagePrevented += missileDamage(MISSILE_CATALOG[m.type], m.target.signature, state.friendFleet.velocity.length());
+            }
+        }
+    });
+    if(k>0){ STATS.killed+=k; STATS.bySource[source] = (STATS.bySource[source] || 0) + k; state.events.push({ type: 'score' }); }
+}
+
+// Advance the whole engagement by exactly dt seconds.
+export function step(state, dt) {
+    const firstEvent = state.events.length;
+    state.time += dt;
+    if(state.spawnHold > 0) state.spawnHold = Math.max(0, state.spawnHold - dt);
+    stepCapacitor(state, dt);
+    stepModules(state, dt);
+    stepNavigation(state);
+    stepShip(state, dt);
+    stepAlign(state);
+    state.friendFleet.update(state, dt, state.SETTINGS.friendlySpeed);
+    state.enemyFleet.update(state, dt, state.SETTINGS.hostileSpeed);
+    stepLaunchers(state, dt);
+    stepAdvisor(state, dt);
+    if(state.SETTINGS.serverTick) stepServerTick(state, dt);
+    else {
+        stepMissiles(state, dt);
+        stepSmartbomb(state, dt);
+        stepFirewalls(state, dt);
+        state.tickAlpha = 1;
+    }
+    if(state.recorder) recordStep(state.recorder, state, dt, state.events.slice(firstEvent));
+    return state;
+}
+
+// EVE resolves missiles, module cycles and kills only on server ticks (1 Hz on TQ).
+// Between ticks nothing is evaluated; the renderer interpolates prevPos -> pos by tickAlpha.
+function stepServerTick(state, dt) {
+    const tickDt = 1 / state.SETTINGS.tickRate;
+    state.tickTimer += dt;
+    while(state.tickTimer >= tickDt) {
+        state.tickTimer -= tickDt;
+        stepMissiles(state, tickDt);
+        stepSmartbomb(state, tickDt);
+        stepFirewalls(state, tickDt);
+    }
+    state.tickAlpha = state.tickTimer / tickDt;
+}
+
+// Feed a variable frame delta through the fixed-timestep accumulator. Returns the step count.
+export function advance(state, frameDt, maxSteps = 10) {
+    const h = state.SETTINGS.fixedDt;
+    state.accumulator = Math.min(state.accumulator + frameDt, h * maxSteps);
+    let n = 0;
+    while(state.accumulator >= h) { step(state, h); state.accumulator -= h; n++; }
+    return n;
+}
+
+// Run headless for a number of simulated seconds, discarding render events.
+export function run(state, seconds) {
+    const steps = Math.round(seconds / state.SETTINGS.fixedDt);
+    for(let i=0; i<steps; i++) { step(state, state.SETTINGS.fixedDt); state.events.length = 0; }
+    return state;
+}
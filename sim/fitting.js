@@ -0,0 +1,122 @@
+// --- FITTING ---
+// Module catalog and the dogma-lite that turns a hull + fit into the numbers the physics uses.
+// Values follow TQ T2/T1 modules with all-V skills where a skill bonus matters (Acceleration Control).
+
+// EVE stacking penalty for the nth (0-based) strongest bonus to the same attribute.
+export const stackingPenalty = n => Math.exp(-Math.pow(n / 2.67, 2));
+
+const ACCELERATION_CONTROL = 1.25;
+
+// Effects are percentage bonuses: `velocity` and `inertia` are multiplicative and stacking
+// penalized, `mass` is a flat addition. Prop mods carry their own speed/thrust/mass block.
+// Prop `speedFactor`s are tuned so the stock fit keeps the original sim's 571 m/s AB and 1612 m/s MWD.
+// `capNeed` is GJ per cycle; the smartbomb cycles on the sim's 1 s pulse, so its cost is per pulse.
+// Smartbombs deal `damage` of one `damageType` (em/thermal/kinetic/explosive) to everything in range.
+export const MODULE_CATALOG = {
+    'emp-sb-i':       { name: 'Large EMP Smartbomb I', short: 'EMP SB I', hud: ['EMP', 'SB I'], slot: 'high', smartbomb: true, damage: 300, damageType: 'em', capNeed: 80, effects: {} },
+    'emp-sb-ii':      { name: 'Large EMP Smartbomb II', short: 'EMP SB II', hud: ['EMP', 'SB II'], slot: 'high', smartbomb: true, damage: 350, damageType: 'em', capNeed: 80, effects: {} },
+    'emp-sb-navy':    { name: 'Imperial Navy Large EMP Smartbomb', short: 'Navy EMP SB', hud: ['EMP', 'NAVY SB'], slot: 'high', smartbomb: true, damage: 400, damageType: 'em', capNeed: 72, effects: {} },
+    'plasma-sb-i':    { name: 'Large Plasma Smartbomb I', short: 'Plasma SB I', hud: ['PLASMA', 'SB I'], slot: 'high', smartbomb: true, damage: 300, damageType: 'thermal', capNeed: 80, effects: {} },
+    'plasma-sb-ii':   { name: 'Large Plasma Smartbomb II', short: 'Plasma SB II', hud: ['PLASMA', 'SB II'], slot: 'high', smartbomb: true, damage: 350, damageType: 'thermal', capNeed: 80, effects: {} },
+    'plasma-sb-navy': { name: 'Federation Navy Large Plasma Smartbomb', short: 'Navy Plasma SB', hud: ['PLASMA', 'NAVY SB'], slot: 'high', smartbomb: true, damage: 400, damageType: 'thermal', capNeed: 72, effects: {} },
+    'proton-sb-i':    { name: 'Large Proton Smartbomb I', short: 'Proton SB I', hud: ['PROTON', 'SB I'], slot: 'high', smartbomb: true, damage: 300, damageType: 'kinetic', capNeed: 80, effects: {} },
+    'proton-sb-ii':   { name: 'Large Proton Smartbomb II', short: 'Proton SB II', hud: ['PROTON', 'SB II'], slot: 'high', smartbomb: true, damage: 350, damageType: 'kinetic', capNeed: 80, effects: {} },
+    'proton-sb-navy': { name: 'Republic Fleet Large Proton Smartbomb', short: 'Navy Proton SB', hud: ['PROTON', 'NAVY SB'], slot: 'high', smartbomb: true, damage: 400, damageType: 'kinetic', capNeed: 72, effects: {} },
+    'graviton-sb-i':  { name: 'Large Graviton Smartbomb I', short: 'Graviton SB I', hud: ['GRAV', 'SB I'], slot: 'high', smartbomb: true, damage: 300, damageType: 'explosive', capNeed: 80, effects: {} },
+    'graviton-sb-ii': { name: 'Large Graviton Smartbomb II', short: 'Graviton SB II', hud: ['GRAV', 'SB II'], slot: 'high', smartbomb: true, damage: 350, damageType: 'explosive', capNeed: 80, effects: {} },
+    'graviton-sb-navy': { name: 'Caldari Navy Large Graviton Smartbomb', short: 'Navy Grav SB', hud: ['GRAV', 'NAVY SB'], slot: 'high', smartbomb: true, damage: 400, damageType: 'explosive', capNeed: 72, effects: {} },
+    'ab-100-ii':      { name: '100MN Afterburner II', short: '100MN AB II', slot: 'mid', prop: 'ab', speedFactor: 163.9, thrust: 150000000, massAdd: 50000000, capNeed: 135 },
+    'mwd-500-ii':     { name: '500MN Microwarpdrive II', short: '500MN MWD II', slot: 'mid', prop: 'mwd', speedFactor: 538.05, thrust: 150000000, massAdd: 50000000, capNeed: 900 },
+    'plate-1600-ii':  { name: '1600mm Steel Plates II', short: '1600mm Plate', slot: 'low', effects: { mass: 3750000 } },
+    'plate-800-ii':   { name: '800mm Steel Plates II', short: '800mm Plate', slot: 'low', effects: { mass: 2000000 } },
+    'nano-ii':        { name: 'Nanofiber Internal Structure II', short: 'Nanofiber II', slot: 'low', effects: { inertia: -15.8, velocity: 7.875 } },
+    'istab-ii':       { name: 'Inertial Stabilizers II', short: 'Inertia Stab II', slot: 'low', effects: { inertia: -20 } },
+    'odi-ii':         { name: 'Overdrive Injector System II', short: 'Overdrive II', slot: 'low', effects: { velocity: 12.5 } },
+    'lfnj-i':         { name: 'Large Low Friction Nozzle Joints I', short: 'LFNJ I', slot: 'rig', effects: { inertia: -15 } },
+    'polycarbon-i':   { name: 'Large Polycarbon Engine Housing I', short: 'Polycarbon I', slot: 'rig', effects: { inertia: -10, velocity: 10 } },
+    'aux-thrusters-i':{ name: 'Large Auxiliary Thrusters I', short: 'Aux Thrusters I', slot: 'rig', effects: { velocity: 10 } }
+};
+
+export const SLOT_TYPES = ['high', 'mid', 'low', 'rig'];
+
+// Two plates keep the old hard-coded 7.5M plate mass as the out-of-the-box fit.
+export const DEFAULT_FIT = {
+    high: ['emp-sb-ii'],
+    mid: ['ab-100-ii', 'mwd-500-ii'],
+    low: ['plate-1600-ii', 'plate-1600-ii'],
+    rig: []
+};
+
+export function emptyFit(hull) {
+    const fit = {};
+    SLOT_TYPES.forEach(t => { fit[t] = new Array(hull.slots[t]).fill(null); });
+    return fit;
+}
+
+// Copy `src` into a fit sized for `hull`, dropping what does not fit the slot layout.
+export function normalizeFit(hull, src = {}) {
+    const fit = emptyFit(hull);
+    SLOT_TYPES.forEach(t => {
+        (src[t] || []).slice(0, hull.slots[t]).forEach((id, i) => {
+            fit[t][i] = id && MODULE_CATALOG[id] && MODULE_CATALOG[id].slot === t ? id : null;
+        });
+    });
+    return fit;
+}
+
+// Resolve a fit into mass/inertia/speed plus a per-module breakdown of applied bonuses.
+export function computeFitting(hull, fit) {
+    const breakdown = [];
+    const bonuses = { velocity: [], inertia: [] };
+    let addedMass = 0;
+    const props = {};
+    let smartbomb = null;
+
+    SLOT_TYPES.forEach(t => fit[t].forEach((id, i) => {
+        if(!id) return;
+        const mod = MODULE_CATALOG[id];
+        const row = { slot: t, index: i, id, name: mod.short, effects: [] };
+        breakdown.push(row);
+        if(mod.prop) { if(!props[mod.prop]) props[mod.prop] = mod; return; }
+        if(mod.smartbomb) { if(!smartbomb) smartbomb = mod; return; }
+        Object.entries(mod.effects).forEach(([attr, value]) => {
+            if(attr === 'mass') { addedMass += value; row.effects.push({ attr, value, penalty: 1 }); return; }
+            const effect = { attr, value, penalty: 1 };
+            row.effects.push(effect);
+            bonuses[attr].push(effect);
+        });
+    }));
+
+    // Positive and negative bonuses stack separately, strongest first.
+    const resolve = (list) => {
+        let mult = 1;
+        [list.filter(e => e.value > 0), list.filter(e => e.value < 0)].forEach(group => {
+            group.sort((a, b) => Math.abs(b.value) - Math.abs(a.value)).forEach((e, n) => {
+                e.penalty = stackingPenalty(n);
+                mult *= 1 + (e.value / 100) * e.penalty;
+            });
+        });
+        return mult;
+    };
+    const velocityMult = resolve(bonuses.velocity);
+    const inertiaMult = resolve(bonuses.inertia);
+
+    const baseSpeed = hull.baseSpeed * velocityMult;
+    const mass = hull.mass + addedMass;
+    // EVE prop mod formula: v = base * (1 + speedFactor * thrust / mass), mass including the prop's own addition.
+    const propSpeed = (mod) => mod
+        ? baseSpeed * (1 + (mod.speedFactor / 100) * ACCELERATION_CONTROL * mod.thrust / (mass + mod.massAdd))
+        : baseSpeed;
+
+    return {
+        baseMass: hull.mass, plateMass: addedMass,
+        inertiaMod: hull.inertiaMod * inertiaMult, baseSpeed,
+        abFitted: !!props.ab, abSpeed: propSpeed(props.ab), abMass: props.ab ? props.ab.massAdd : 0, abCap: props.ab ? props.ab.capNeed : 0,
+        mwdFitted: !!props.mwd, mwdSpeed: propSpeed(props.mwd), mwdMass: props.mwd ? props.mwd.massAdd : 0, mwdCap: props.mwd ? props.mwd.capNeed : 0,
+        sbFitted: !!smartbomb, sbCap: smartbomb ? smartbomb.capNeed : 0,
+        sbDamage: smartbomb ? smartbomb.damage : 0, sbDamageType: smartbomb ? smartbomb.damageType : null,
+        sbHud: smartbomb ? smartbomb.hud : ['-', 'SB'],
+        capCapacity: hull.capacitor.capacity, capRecharge: hull.capacitor.rechargeTime,
+        velocityMult, inertiaMult, breakdown
+    };
+}
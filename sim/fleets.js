@@ -0,0 +1,49 @@
+// --- FLEET COMPOSITION ---
+// Ship types either side can field, and the groups a fleet is built from. Hitpoints are rough
+// fleet-fit EHP per layer; `box` is the placeholder mesh size (width, height, length) in metres.
+
+export const FLEET_SHIP_TYPES = {
+    'guardian': { name: 'Guardian', signature: 62, shield: 2500, armor: 8000, hull: 2000, box: [40, 20, 90] },
+    'scimitar': { name: 'Scimitar', signature: 55, shield: 9000, armor: 1800, hull: 1600, box: [40, 20, 90] },
+    'muninn':   { name: 'Muninn', signature: 120, shield: 1500, armor: 9000, hull: 1700, box: [40, 20, 100] },
+    'eagle':    { name: 'Eagle', signature: 130, shield: 12000, armor: 1500, hull: 1700, box: [40, 20, 100] },
+    'barghest': { name: 'Barghest', signature: 460, shield: 9000, armor: 7000, hull: 8000, box: [120, 20, 350] },
+    'raven':    { name: 'Raven', signature: 460, shield: 12000, armor: 4500, hull: 5500, box: [120, 20, 350] },
+    'typhoon':  { name: 'Typhoon', signature: 400, shield: 6500, armor: 7500, hull: 7000, box: [120, 20, 330] }
+};
+
+export const FLEET_SIDES = ['friend', 'enemy'];
+export const SIDE_COLORS = { friend: '#55ff55', enemy: '#ff5555' };
+
+// The original 5 Guardians against 4 Barghests.
+export const DEFAULT_COMPOSITION = {
+    friend: [{ ship: 'guardian', count: 5 }],
+    enemy: [{ ship: 'barghest', count: 4 }]
+};
+
+// Groups come from scenario files and shared links, so sizes and names are capped here.
+export const MAX_GROUPS = 8;
+export const MAX_GROUP_SIZE = 200;
+export const MAX_GROUP_NAME = 24;
+
+// Fill in a group's name/color/signature from its ship type and drop unknown types.
+export function normalizeGroups(side, groups = []) {
+    return (Array.isArray(groups) ? groups : []).filter(g => g && Object.hasOwn(FLEET_SHIP_TYPES, g.ship)).slice(0, MAX_GROUPS).map(g => {
+        const spec = FLEET_SHIP_TYPES[g.ship];
+        const signature = parseFloat(g.signature);
+        const name = typeof g.name === 'string' ? g.name.trim().slice(0, MAX_GROUP_NAME) : '';
+        return {
+            ship: g.ship,
+            count: Math.min(MAX_GROUP_SIZE, Math.max(0, Math.floor(g.count) || 0)),
+            name: name || spec.name,
+            color: /^#[0-9a-f]{6}$/i.test(g.color) ? g.color : SIDE_COLORS[side],
+            signature: signature > 0 && isFinite(signature) ? signature : spec.signature
+        };
+    });
+}
+
+export function normalizeComposition(src = {}) {
+    const comp = {};
+    FLEET_SIDES.forEach(side => { comp[side] = normalizeGroups(side, (src || {})[side]); });
+    return comp;
+}
@@ -0,0 +1,70 @@
+// --- MISSILE LOG ---
+// One entry per launched missile, filled in over its life: who fired it at whom, when, how close
+// it came to the nearest firewall ship (the player's or an allied one, named in `closestTo`) and
+// how it ended ('smartbombed', 'impacted' or 'expired').
+// `killedBy` names the ship whose smartbomb got it; `escape` repeats the swept-tracking leak class
+// when that is on. Entries stay in launch order and the log is cleared with the stats.
+import * as THREE from 'three';
+
+export const MISSILE_LOG_COLUMNS = [
+    'id', 'type', 'launcher', 'launcherIndex', 'target', 'spawnTime',
+    'closestApproach', 'closestTo', 'closestTime', 'outcome', 'killedBy', 'escape', 'outcomeTime', 'outcomeX', 'outcomeY', 'outcomeZ'
+];
+
+const _line = new THREE.Line3();
+const _closest = new THREE.Vector3();
+
+// Every firewall ship as [name, position]: the player's first, then the allied ones.
+const firewallShips = (state) => [[state.HULL.name, state.SHIP_STATE.position], ...state.firewalls.map(fw => [fw.name, fw.position])];
+
+export function logLaunch(state, m, shooter, launcher) {
+    m.log = {
+        id: m.serial, type: m.type, launcher: shooter.name, launcherIndex: launcher, target: m.target.name,
+        spawnTime: state.time, closestApproach: Infinity, closestTo: null, closestTime: state.time,
+        outcome: null, killedBy: null, escape: null, outcomeTime: null, outcomeX: null, outcomeY: null, outcomeZ: null
+    };
+    firewallShips(state).forEach(([name, p]) => {
+        const d = m.pos.distanceTo(p);
+        if(d < m.log.closestApproach) Object.assign(m.log, { closestApproach: d, closestTo: name });
+    });
+    state.missileLog.push(m.log);
+}
+
+// Closest point of this step's path segment, so fast missiles on slow ticks are not missed.
+export function logApproach(state, m) {
+    _line.set(m.prevPos, m.pos);
+    firewallShips(state).forEach(([name, p]) => {
+        const d = _line.closestPointToPoint(p, true, _closest).distanceTo(p);
+        if(d < m.log.closestApproach) Object.assign(m.log, { closestApproach: d, closestTo: name, closestTime: state.time });
+    });
+}
+
+export function logOutcome(state, m, outcome, killedBy = null) {
+    Object.assign(m.log, {
+        outcome, killedBy, escape: m.escape, outcomeTime: state.time,
+        outcomeX: m.pos.x, outcomeY: m.pos.y, outcomeZ: m.pos.z
+    });
+}
+
+// Times to the millisecond, distances to the metre.
+const round = (k, v) => typeof v !== 'number' ? v
+    : /Time$/.test(k) ? Math.round(v * 1000) / 1000
+    : /^(closestApproach|outcome[XYZ])$/.test(k) ? Math.round(v) : v;
+
+export function missileLogToJSON(log) {
+    return JSON.stringify(log.map(e => Object.fromEntries(MISSILE_LOG_COLUMNS.map(k => [k, round(k, e[k])]))), null, 2);
+}
+
+// Text cells (firewall names come from the user) opening with = + - @ or a tab/CR would run as
+// spreadsheet formulas, so they get a leading quote; numbers are left alone so negatives stay numbers.
+const csvText = (v) => typeof v === 'string' && /^[=+\-@\t\r]/.test(v) ? `'${v}` : String(v);
+const csvCell = (v) => {
+    if(v === null || v === undefined) return '';
+    const s = csvText(v);
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+export function missileLogToCSV(log) {
+    const rows = log.map(e => MISSILE_LOG_COLUMNS.map(k => csvCell(round(k, e[k]))).join(','));
+    return [MISSILE_LOG_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
@@ -0,0 +1,25 @@
+// --- MISSILE CATALOG ---
+// Flight and damage attributes per missile class, at all-V skills with a typical hull velocity
+// bonus. `hp`/`resists` are what smartbombs have to burn through. Resists are strongest against the
+// missile's own warhead type and grow with the hull size, so the smartbomb's damage type matters.
+// `drf` is the damage reduction factor of EVE's application formula. `color` tints the tactical path.
+
+export const MISSILE_CATALOG = {
+    'cruise':        { name: 'Cruise Missile', plural: 'Cruise Missiles', short: 'CRUISE', velocity: 5625, flightTime: 30, hp: 300, resists: { em: 0, thermal: 0.1, kinetic: 0.2, explosive: 0.1 }, damage: 300, damageType: 'kinetic', explosionRadius: 330, explosionVelocity: 101, drf: 0.882, color: 0x00ffff },
+    'torpedo':       { name: 'Torpedo', plural: 'Torpedoes', short: 'TORP', velocity: 1875, flightTime: 15, hp: 450, resists: { em: 0.1, thermal: 0.2, kinetic: 0.3, explosive: 0.2 }, damage: 450, damageType: 'kinetic', explosionRadius: 450, explosionVelocity: 71, drf: 0.944, color: 0xff8800 },
+    'xl-torpedo':    { name: 'XL Torpedo', plural: 'XL Torpedoes', short: 'XL TORP', velocity: 1875, flightTime: 15, hp: 900, resists: { em: 0.2, thermal: 0.3, kinetic: 0.4, explosive: 0.3 }, damage: 1500, damageType: 'kinetic', explosionRadius: 1500, explosionVelocity: 56, drf: 0.944, color: 0xff3300 },
+    'heavy':         { name: 'Heavy Missile', plural: 'Heavy Missiles', short: 'HEAVY', velocity: 5625, flightTime: 9, hp: 150, resists: { em: 0, thermal: 0.05, kinetic: 0.1, explosive: 0.05 }, damage: 150, damageType: 'kinetic', explosionRadius: 140, explosionVelocity: 81, drf: 0.682, color: 0x66ff66 },
+    'heavy-assault': { name: 'Heavy Assault Missile', plural: 'Heavy Assault Missiles', short: 'HAM', velocity: 3375, flightTime: 9, hp: 180, resists: { em: 0.05, thermal: 0.1, kinetic: 0.15, explosive: 0.1 }, damage: 180, damageType: 'kinetic', explosionRadius: 125, explosionVelocity: 101, drf: 0.882, color: 0xff66ff }
+};
+
+export const DEFAULT_MISSILE_TYPE = 'cruise';
+
+// EVE missile damage application: full damage unless the target is smaller than the explosion
+// or outruns it.
+export function missileDamage(spec, signature, targetSpeed) {
+    const sigRatio = signature / spec.explosionRadius;
+    const speedTerm = targetSpeed > 0
+        ? Math.pow(sigRatio * spec.explosionVelocity / targetSpeed, spec.drf)
+        : Infinity;
+    return spec.damage * Math.min(1, sigRatio, speedTerm);
+}
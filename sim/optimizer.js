@@ -0,0 +1,99 @@
+// --- OPTIMIZER ---
+// Parameter sweeps over SETTINGS keys. Every grid point is flown `runs` times headless with
+// seeds seed, seed+1, ... so all points see the same random engagements, and the mean and spread
+// of smartbomb efficiency are reported. `firewallDist` is the one key that is not a SETTINGS
+// entry: it parks the firewall ship that far from the friendly fleet, towards the hostiles.
+import { createState, run, toggleSmartbomb, stopShip, addFirewall } from './core.js';
+import { efficiency } from './scoring.js';
+
+// Suggested ranges for the usual suspects; any other numeric SETTINGS key can be swept as well.
+export const SWEEP_KEYS = {
+    missileSpeed: { label: 'Missile Velocity', min: 2000, max: 12000, step: 2000 },
+    sbRange: { label: 'Smartbomb Radius', min: 6000, max: 10000, step: 1000 },
+    hostileDist: { label: 'Hostile Range', min: 20000, max: 100000, step: 20000 },
+    firewallDist: { label: 'Firewall Standoff', min: 0, max: 30000, step: 5000 },
+    hostileSpeed: { label: 'Hostile Speed', min: 400, max: 2000, step: 400 },
+    rateOfFire: { label: 'Rate of Fire', min: 4, max: 16, step: 4 },
+    tickRate: { label: 'Tick Rate', min: 1, max: 10, step: 3 }
+};
+
+const NOT_SWEEPABLE = ['fixedDt'];
+
+export function sweepableKeys(settings) {
+    return ['firewallDist', ...Object.keys(settings).filter(k => typeof settings[k] === 'number' && !NOT_SWEEPABLE.includes(k))];
+}
+
+// The live configuration a sweep starts from.
+export function baseFromState(state) {
+    return {
+        hull: state.HULL.id,
+        fit: JSON.parse(JSON.stringify(state.FITTING)),
+        composition: JSON.parse(JSON.stringify(state.COMPOSITION)),
+        firewalls: state.firewalls.map(fw => ({ offset: fw.offset.toArray(), sbRange: fw.sbRange, phase: fw.phase, smartbomb: fw.smartbomb })),
+        settings: { ...state.SETTINGS }
+    };
+}
+
+const axisValues = ({ min, max, step }) => {
+    if(!(step > 0) || !(max > min)) return [min];
+    const values = [];
+    for(let v = min; v <= max + step * 1e-6; v += step) values.push(+v.toFixed(6));
+    return values;
+};
+
+// Cartesian product of the axes as a list of override objects.
+export function sweepPoints(axes) {
+    return axes.reduce((points, axis) => points.flatMap(p => axisValues(axis).map(v => ({ ...p, [axis.key]: v }))), [{}]);
+}
+
+// Set up one trial's engagement without running it.
+export function createTrial(base, overrides, { seed }) {
+    const state = createState({ seed, hull: base.hull, fit: base.fit, composition: base.composition });
+    const { firewallDist, ...settings } = overrides;
+    Object.assign(state.SETTINGS, base.settings, settings, { advisor: false });
+    (base.firewalls || []).forEach(fw => addFirewall(state, fw));
+    if(firewallDist !== undefined) {
+        const { friendFleet, enemyFleet, SHIP_STATE } = state;
+        const dir = enemyFleet.pos.clone().sub(friendFleet.pos).normalize();
+        SHIP_STATE.position.copy(friendFleet.pos).addScaledVector(dir, firewallDist);
+        stopShip(state);
+    }
+    if(!state.MODULES.sb.active) toggleSmartbomb(state);
+    return state;
+}
+
+export function trialResult(state) {
+    const { STATS } = state;
+    return { efficiency: efficiency(STATS), spawned: STATS.spawned, killed: STATS.killed, impacted: STATS.impacted, damageTaken: STATS.damageTaken };
+}
+
+// Generator so the browser can spread a sweep over frames; trials run in `chunk`-second slices
+// (whole trials by default) and every slice yields progress. The finished point's summary rides
+// on the yield after its last run completes.
+export function* sweep(base, axes, { runs = 3, seconds = 120, seed = 1, chunk = seconds } = {}) {
+    const points = sweepPoints(axes);
+    const total = points.length * runs;
+    let done = 0;
+    for(const overrides of points) {
+        const trials = [];
+        for(let r = 0; r < runs; r++) {
+            const state = createTrial(base, overrides, { seed: seed + r });
+            // Whole steps per slice, so a chunked trial takes exactly the steps run(state, seconds) would.
+            const h = state.SETTINGS.fixedDt;
+            let left = Math.round(seconds / h);
+            const slice = Math.max(1, Math.round(chunk / h));
+            while(left > 0) {
+                const n = Math.min(slice, left);
+                run(state, n * h); left -= n;
+                if(left > 0) yield { done: done + 1 - left * h / seconds, total, point: null };
+            }
+            trials.push(trialResult(state));
+            done++;
+            if(r < runs - 1) yield { done, total, point: null };
+        }
+        const mean = trials.reduce((s, t) => s + t.efficiency, 0) / runs;
+        const std = Math.sqrt(trials.reduce((s, t) => s + (t.efficiency - mean) ** 2, 0) / runs);
+        const impacted = trials.reduce((s, t) => s + t.impacted, 0) / runs;
+        yield { done, total, point: { overrides, mean, std, impacted, trials } };
+    }
+}
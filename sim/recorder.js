@@ -0,0 +1,71 @@
+// --- RECORDER ---
+// Captures the engagement as compact snapshots for replay (replay.js) and sharing as files.
+// Frames are taken at a fixed `rate` rather than every 1/60 s step; replay interpolates between
+// them. Positions are rounded to the metre to keep files small.
+//   frame.ship     [x, y, z, qx, qy, qz, qw, vx, vy, vz]
+//   frame.ships    [[id, x, y, z, qx, qy, qz, qw, hp], ...]   every fleet ship alive
+//   frame.missiles [[serial, typeIndex, x, y, z, targetId], ...]   targetId -1 when untargeted
+//   frame.firewalls [[x, y, z, sbRange, pulsed, name], ...]   allied firewall ships, in state order
+// Ship details that never change (name, side, color, size) go in the roster once.
+import { MISSILE_CATALOG } from './missiles.js';
+
+export const RECORDING_VERSION = 1;
+export const DEFAULT_RECORD_RATE = 10;
+
+const r1 = v => Math.round(v);
+const r4 = v => Math.round(v * 10000) / 10000;
+
+export function createRecording(state, rate = DEFAULT_RECORD_RATE) {
+    return {
+        version: RECORDING_VERSION, seed: state.seed, hull: state.HULL.id, rate,
+        settings: { ...state.SETTINGS }, types: Object.keys(MISSILE_CATALOG),
+        start: state.time, roster: [], frames: [], timer: 0, pulse: false, fwPulses: new Set(), known: new Set()
+    };
+}
+
+// Called by the core after every step with the events that step produced.
+export function recordStep(rec, state, dt, events) {
+    events.forEach(e => {
+        if(e.type !== 'sbPulse') return;
+        if(e.firewall) rec.fwPulses.add(e.firewall); else rec.pulse = true;
+    });
+    rec.timer -= dt;
+    if(rec.timer > 1e-9) return;
+    rec.timer = Math.max(rec.timer + 1 / rec.rate, 0);
+    rec.frames.push(captureFrame(rec, state));
+    rec.pulse = false; rec.fwPulses.clear();
+}
+
+function captureFrame(rec, state) {
+    const { SHIP_STATE, MODULES, STATS } = state;
+    const p = SHIP_STATE.position, q = SHIP_STATE.heading, v = SHIP_STATE.velocity;
+    const ships = [];
+    [['friend', state.friendFleet], ['enemy', state.enemyFleet]].forEach(([side, fleet]) => fleet.ships.forEach(s => {
+        if(!rec.known.has(s.id)) {
+            rec.known.add(s.id);
+            rec.roster.push({ id: s.id, side, name: s.name, color: s.color, box: s.box, maxHp: s.maxShield + s.maxArmor + s.maxHull });
+        }
+        ships.push([s.id, r1(s.position.x), r1(s.position.y), r1(s.position.z), r4(s.quaternion.x), r4(s.quaternion.y), r4(s.quaternion.z), r4(s.quaternion.w), r1(s.shield + s.armor + s.hull)]);
+    }));
+    const missiles = [];
+    state.missiles.forEach(m => {
+        if(!m.active) return;
+        missiles.push([m.serial, rec.types.indexOf(m.type), r1(m.pos.x), r1(m.pos.y), r1(m.pos.z), m.target ? m.target.id : -1]);
+    });
+    const stats = {};
+    Object.keys(STATS).forEach(k => { if(typeof STATS[k] === 'number') stats[k] = STATS[k]; });
+    stats.bySource = { ...STATS.bySource };
+    return {
+        t: Math.round((state.time - rec.start) * 1000) / 1000,
+        ship: [r1(p.x), r1(p.y), r1(p.z), r4(q.x), r4(q.y), r4(q.z), r4(q.w), r1(v.x), r1(v.y), r1(v.z)],
+        cap: r1(SHIP_STATE.cap), modules: [MODULES.ab.active, MODULES.mwd.active, MODULES.sb.active].map(Number),
+        pulse: rec.pulse, ships, missiles, stats,
+        firewalls: state.firewalls.map(fw => [r1(fw.position.x), r1(fw.position.y), r1(fw.position.z), fw.sbRange, rec.fwPulses.has(fw.name) ? 1 : 0, fw.name])
+    };
+}
+
+// The file form drops the capture bookkeeping.
+export function serializeRecording(rec) {
+    const { timer, pulse, fwPulses, known, ...file } = rec;
+    return JSON.stringify(file);
+}
@@ -0,0 +1,147 @@
+// --- REPLAY ---
+// Plays a recording back through a state object of the usual shape, so the renderer draws it with
+// the same code as a live engagement. The replay state is never stepped: seekReplay() writes the
+// interpolated frame into it.
+import * as THREE from 'three';
+import { createState } from './core.js';
+import { RECORDING_VERSION } from './recorder.js';
+import { MISSILE_CATALOG, DEFAULT_MISSILE_TYPE } from './missiles.js';
+import { SIDE_COLORS } from './fleets.js';
+import { validateScenario } from './scenario.js';
+
+const _qa = new THREE.Quaternion();
+const _qb = new THREE.Quaternion();
+
+export function createReplay(rec) {
+    if(rec.version !== RECORDING_VERSION) throw new Error(`Unsupported recording version: ${rec.version}`);
+    if(!rec.frames || !rec.frames.length) throw new Error('Recording has no frames');
+    const state = createState({ seed: rec.seed, hull: rec.hull });
+    // Settings go through the scenario checks; missile types and roster entries fall back to
+    // defaults, so a hand-edited file cannot leave the renderer looking up things that do not exist.
+    Object.assign(state.SETTINGS, validateScenario({ settings: rec.settings }).scenario.settings, { spawningEnabled: false, advisor: false });
+    const types = (Array.isArray(rec.types) ? rec.types : []).map(t => Object.hasOwn(MISSILE_CATALOG, t) ? t : DEFAULT_MISSILE_TYPE);
+    const roster = (Array.isArray(rec.roster) ? rec.roster : []).filter(r => r && typeof r === 'object').map(recordedShip);
+    // Hitpoints are recorded as one total, so it all sits in `shield` for the overview's HP%.
+    const ships = new Map(roster.map(r => [r.id, {
+        id: r.id, side: r.side, name: r.name, color: r.color, box: r.box, signature: 0, launchers: [],
+        position: new THREE.Vector3(), quaternion: new THREE.Quaternion(),
+        shield: r.maxHp, armor: 0, hull: 0, maxShield: r.maxHp, maxArmor: 0, maxHull: 0
+    }]));
+    state.friendFleet.initialCount = roster.filter(r => r.side === 'friend').length;
+    state.friendFleet.initialHp = roster.filter(r => r.side === 'friend').reduce((n, r) => n + r.maxHp, 0);
+    const duration = rec.frames[rec.frames.length - 1].t;
+    return { rec, state, ships, types, duration, time: 0, playing: true, speed: 1, frame: -1, shipKey: '', firewallKey: '' };
+}
+
+// Recordings are files from anywhere: only numbers and the per-source kill counts are taken from
+// their stats, firewall ranges are forced to numbers, and firewall names fall back to their slot
+// for recordings made before names were kept.
+function recordedStats(stats) {
+    const out = {};
+    Object.entries(stats || {}).forEach(([k, v]) => { if(typeof v === 'number') out[k] = v; });
+    out.bySource = Object.fromEntries(Object.entries((stats && stats.bySource) || {}).filter(([, n]) => typeof n === 'number'));
+    return out;
+}
+const DEFAULT_BOX = [40, 20, 90];
+function recordedShip(r) {
+    const side = r.side === 'friend' ? 'friend' : 'enemy';
+    const maxHp = Number(r.maxHp);
+    return {
+        id: r.id, side, name: String(r.name ?? ''),
+        color: /^#[0-9a-f]{6}$/i.test(r.color) ? r.color : SIDE_COLORS[side],
+        box: Array.isArray(r.box) && r.box.length === 3 && r.box.every(v => Number.isFinite(v) && v > 0) ? r.box : DEFAULT_BOX,
+        maxHp: Number.isFinite(maxHp) && maxHp > 0 ? maxHp : 1
+    };
+}
+const firewallName = (f, j) => typeof f[5] === 'string' ? f[5] : `Firewall ${j + 1}`;
+const firewallRange = (f) => Number(f[3]) || 0;
+
+const lerp3 = (out, a, b, i, alpha) => out.set(
+    a[i] + (b[i] - a[i]) * alpha, a[i+1] + (b[i+1] - a[i+1]) * alpha, a[i+2] + (b[i+2] - a[i+2]) * alpha);
+
+// Show the recording at `t` seconds. Returns what changed so the renderer only rebuilds the
+// fleet meshes and score panel when it has to.
+export function seekReplay(replay, t) {
+    const { rec, state, ships } = replay;
+    const frames = rec.frames;
+    t = THREE.MathUtils.clamp(t, 0, replay.duration);
+    let lo = 0, hi = frames.length - 1;
+    while(lo < hi) { const mid = (lo + hi + 1) >> 1; if(frames[mid].t <= t) lo = mid; else hi = mid - 1; }
+    const a = frames[lo], b = frames[Math.min(lo + 1, frames.length - 1)];
+    const alpha = b.t > a.t ? (t - a.t) / (b.t - a.t) : 0;
+
+    // Pulses replay only when playing forward through a short stretch, not on big scrubs.
+    if(lo > replay.frame && replay.frame >= 0 && lo - replay.frame < 10) {
+        for(let i = replay.frame + 1; i <= lo; i++) {
+            if(frames[i].pulse) state.events.push({ type: 'sbPulse', position: new THREE.Vector3(...frames[i].ship.slice(0, 3)) });
+            (frames[i].firewalls || []).forEach((f, j) => {
+                if(f[4]) state.events.push({ type: 'sbPulse', position: new THREE.Vector3(f[0], f[1], f[2]), firewall: firewallName(f, j), range: firewallRange(f) });
+            });
+        }
+    }
+    const frameChanged = lo !== replay.frame;
+    replay.frame = lo; replay.time = t;
+
+    const { SHIP_STATE, MODULES, STATS } = state;
+    lerp3(SHIP_STATE.position, a.ship, b.ship, 0, alpha);
+    SHIP_STATE.heading.slerpQuaternions(_qa.fromArray(a.ship, 3).normalize(), _qb.fromArray(b.ship, 3).normalize(), alpha);
+    lerp3(SHIP_STATE.velocity, a.ship, b.ship, 7, alpha);
+    SHIP_STATE.speed = SHIP_STATE.velocity.length();
+    SHIP_STATE.targetHeading.set(0, 0, 1).applyQuaternion(SHIP_STATE.heading);
+    SHIP_STATE.cap = a.cap + (b.cap - a.cap) * alpha;
+    ['ab', 'mwd', 'sb'].forEach((k, i) => { MODULES[k].active = !!a.modules[i]; });
+    if(frameChanged) Object.assign(STATS, recordedStats(a.stats));
+
+    // Allied firewalls are rebuilt only when the set of ships changes; they move with the fleet.
+    const fwa = a.firewalls || [], fwb = b.firewalls || fwa;
+    const fwKey = fwa.map(firewallName).join('\n');
+    if(fwKey !== replay.firewallKey) {
+        replay.firewallKey = fwKey;
+        state.firewalls = fwa.map((f, j) => ({ name: firewallName(f, j), position: new THREE.Vector3(), sbRange: firewallRange(f) }));
+        state.events.push({ type: 'firewallsChanged' });
+    }
+    const fwNext = new Map(fwb.map((f, j) => [firewallName(f, j), f]));
+    state.firewalls.forEach((fw, j) => { lerp3(fw.position, fwa[j], fwNext.get(fw.name) || fwa[j], 0, alpha); fw.sbRange = firewallRange(fwa[j]); });
+
+    // Fleet membership follows frame `a`; positions blend towards `b` where the ship is still there.
+    const key = a.ships.map(s => s[0]).join(',');
+    const fleetsChanged = key !== replay.shipKey;
+    if(fleetsChanged) {
+        replay.shipKey = key;
+        const alive = a.ships.map(s => ships.get(s[0])).filter(Boolean);
+        state.friendFleet.ships = alive.filter(s => s.side === 'friend');
+        state.enemyFleet.ships = alive.filter(s => s.side === 'enemy');
+    }
+    const next = new Map(b.ships.map(s => [s[0], s]));
+    a.ships.forEach(sa => {
+        const ship = ships.get(sa[0]), sb = next.get(sa[0]) || sa;
+        if(!ship) return;
+        lerp3(ship.position, sa, sb, 1, alpha);
+        ship.quaternion.slerpQuaternions(_qa.fromArray(sa, 4).normalize(), _qb.fromArray(sb, 4).normalize(), alpha);
+        ship.shield = sa[8];
+    });
+
+    // Missiles fill the pool in frame order; heading comes from the motion between frames.
+    const nextM = new Map(b.missiles.map(m => [m[0], m]));
+    const dtFrames = Math.max(b.t - a.t, 1e-6);
+    state.missiles.forEach((m, i) => {
+        const ma = a.missiles[i];
+        if(!ma) { m.active = false; m.target = null; return; }
+        const mb = nextM.get(ma[0]);
+        m.active = true; m.serial = ma[0]; m.type = replay.types[ma[1]] || DEFAULT_MISSILE_TYPE;
+        m.target = ships.get(ma[5]) || null;
+        lerp3(m.pos, ma, mb || ma, 2, alpha); m.prevPos.copy(m.pos);
+        if(mb) m.vel.set(mb[2] - ma[2], mb[3] - ma[3], mb[4] - ma[4]).divideScalar(dtFrames);
+        if(m.vel.lengthSq() === 0) m.vel.set(0, 0, 1);
+    });
+    state.tickAlpha = 1;
+    return { fleetsChanged, statsChanged: frameChanged };
+}
+
+export function stepReplay(replay, dt) {
+    if(replay.playing) {
+        replay.time += dt * replay.speed;
+        if(replay.time >= replay.duration) { replay.time = replay.duration; replay.playing = false; }
+    }
+    return seekReplay(replay, replay.time);
+}
@@ -0,0 +1,57 @@
+// Headless runner for the simulation core.
+//   node sim/run.js --seconds 120 --seed 42 --hull typhoon --missile torpedo --sb --set missileSpeed=8000 --set volleyMode=synchronized
+//   node sim/run.js --friend guardian:5,scimitar:2 --enemy barghest:40
+//   node sim/run.js --sb --firewalls 3:6000 --set firewallStagger=true   (3 allied firewalls on a 6 km ring)
+//   node sim/run.js --sb --record engagement.json   (replayable in the browser via RECORDING > LOAD)
+//   node sim/run.js --sb --log missiles.csv           (per-missile outcomes; .json for JSON)
+// Prints the final STATS (plus the inputs needed to reproduce the run) as JSON.
+import { writeFileSync } from 'node:fs';
+import { createState, run, toggleSmartbomb, setMissileType, setComposition, respawnFleets, startRecording, stopRecording, ringFirewalls } from './core.js';
+import { serializeRecording } from './recorder.js';
+import { missileLogToCSV, missileLogToJSON } from './missilelog.js';
+import { efficiency, inFlightCount } from './scoring.js';
+
+const args = process.argv.slice(2);
+const opts = { seconds: 60, seed: 1, hull: 'nestor', missile: null, sb: false, set: {}, fleets: {}, firewalls: null, record: null, log: null };
+const parseGroups = (v) => v.split(',').map(g => { const [ship, count] = g.split(':'); return { ship, count: parseInt(count) || 1 }; });
+for(let i=0; i<args.length; i++) {
+    const a = args[i];
+    if(a === '--seconds') opts.seconds = parseFloat(args[++i]);
+    else if(a === '--seed') opts.seed = parseInt(args[++i]);
+    else if(a === '--hull') opts.hull = args[++i];
+    else if(a === '--missile') opts.missile = args[++i];
+    else if(a === '--sb') opts.sb = true;
+    else if(a === '--record') opts.record = args[++i];
+    else if(a === '--firewalls') { const [count, radius] = args[++i].split(':'); opts.firewalls = { count: parseInt(count) || 0, radius: parseFloat(radius) || 5000 }; }
+    else if(a === '--log') opts.log = args[++i];
+    else if(a === '--friend' || a === '--enemy') opts.fleets[a.slice(2)] = parseGroups(args[++i]);
+    else if(a === '--set') {
+        const [k, v] = args[++i].split('=');
+        opts.set[k] = v === 'true' ? true : v === 'false' ? false : isNaN(parseFloat(v)) ? v : parseFloat(v);
+    }
+    else { console.error(`Unknown argument: ${a}`); process.exit(1); }
+}
+
+const state = createState({ seed: opts.seed, hull: opts.hull });
+if(opts.missile) setMissileType(state, opts.missile);
+Object.assign(state.SETTINGS, opts.set);
+if(Object.keys(opts.fleets).length) {
+    Object.entries(opts.fleets).forEach(([side, groups]) => setComposition(state, side, groups));
+    respawnFleets(state);
+}
+if(opts.firewalls) ringFirewalls(state, opts.firewalls.count, opts.firewalls.radius);
+if(opts.sb) toggleSmartbomb(state);
+if(opts.record) startRecording(state);
+run(state, opts.seconds);
+if(opts.record) writeFileSync(opts.record, serializeRecording(stopRecording(state)));
+if(opts.log) writeFileSync(opts.log, opts.log.endsWith('.json') ? missileLogToJSON(state.missileLog) : missileLogToCSV(state.missileLog));
+
+const { position } = state.SHIP_STATE;
+console.log(JSON.stringify({
+    seed: state.seed, hull: state.HULL.id, missile: state.SETTINGS.missileType, seconds: opts.seconds, settings: opts.set, smartbomb: opts.sb,
+    composition: state.COMPOSITION, firewalls: opts.firewalls,
+    stats: { ...state.STATS, recent: undefined },
+    efficiency: efficiency(state.STATS), inFlight: inFlightCount(state.STATS),
+    capacitor: { cap: state.SHIP_STATE.cap, smartbombActive: state.MODULES.sb.active },
+    ship: { x: position.x, y: position.y, z: position.z }
+}, null, 2));
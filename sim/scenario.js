@@ -0,0 +1,274 @@
+// --- SCENARIOS ---
+// A scenario is a complete engagement setup as plain JSON: seed, the firewall ship (hull, fit,
+// position, heading, throttle, running modules), both fleets (composition, position, behavior
+// settings), allied firewall ships (offset from the friendly fleet, range, phase, smartbomb),
+// missile settings, everything else in SETTINGS and the objectives the run is judged against.
+// Missing keys fall back to the defaults, so hand-written scenarios only need what they change;
+// a ship without a throttle starts parked. Scenarios come from files, links and storage, so every
+// field is checked by validateScenario() first and the ones that fail are reported, not applied.
+import { createRng, defaultSettings, setHull, applyFitting, toggleModule, toggleSmartbomb, setComposition, respawnFleets, addFirewall, SHIP_CATALOG, MAX_FIREWALLS, SB_RANGE_LIMITS } from './core.js';
+import { DEFAULT_FIT, MODULE_CATALOG, normalizeFit, SLOT_TYPES } from './fitting.js';
+import { DEFAULT_COMPOSITION, FLEET_SIDES, FLEET_SHIP_TYPES, MAX_GROUPS, MAX_GROUP_SIZE, MAX_GROUP_NAME } from './fleets.js';
+import { MISSILE_CATALOG } from './missiles.js';
+import { efficiency } from './scoring.js';
+import SAMPLE_SCENARIOS from './scenarios.json' with { type: 'json' };
+
+export { SAMPLE_SCENARIOS };
+export const SCENARIO_VERSION = 1;
+
+// SETTINGS keys filed under each fleet / the missiles instead of the general settings block.
+const FLEET_KEYS = {
+    friend: ['friendlyAnchor', 'anchorRange', 'fcBearing', 'formation', 'friendlySpeed'],
+    enemy: ['hostileBehavior', 'hostileDist', 'hostileOrbit', 'hostileAnchor', 'hostileSpeed', 'launchersPerShip', 'rateOfFire', 'volleyMode']
+};
+const MISSILE_KEYS = ['missileType', 'missileSpeed', 'guidance'];
+
+// --- VALIDATION ---
+// String settings take one of a fixed set of values; numbers must be finite and inside these
+// bounds. fixedDt and tickRate are what the step loops divide by, so they must stay well above 0.
+const SETTING_CHOICES = {
+    missileType: Object.keys(MISSILE_CATALOG),
+    guidance: ['cinematic', 'eve'],
+    volleyMode: ['staggered', 'synchronized', 'onCall'],
+    hostileBehavior: ['wander', 'orbit', 'keepRange', 'approach', 'kite'],
+    friendlyAnchor: ['wander', 'player', 'beacon', 'align'],
+    formation: ['line', 'ball', 'spread']
+};
+const SETTING_LIMITS = {
+    fixedDt: [0.001, 0.1], tickRate: [0.1, 60],
+    launchersPerShip: [0, 20], rateOfFire: [0.5, 600], missileSpeed: [100, 100000],
+    sbRange: SB_RANGE_LIMITS, hostileSpeed: [0, 20000], friendlySpeed: [0, 20000],
+    hostileDist: [0, 1000000], hostileOrbit: [0, 1000000], hostileAnchor: [0, 1000000], anchorRange: [0, 1000000],
+    fcBearing: [-360, 360]
+};
+// Counts: the core sizes arrays with these, so they must be whole numbers.
+const INTEGER_SETTINGS = ['launchersPerShip'];
+const OBJECTIVE_KEYS = ['minEfficiency', 'maxShipsLost', 'maxDamageTaken', 'duration'];
+const MAX_TEXT = { name: 60, description: 500 };
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+const isVec3 = (v) => Array.isArray(v) && v.length === 3 && v.every(Number.isFinite);
+const inRange = (v, min, max) => Number.isFinite(v) && v >= min && v <= max;
+
+const validGroup = (g) => isObject(g) && Object.hasOwn(FLEET_SHIP_TYPES, g.ship)
+    && Number.isInteger(g.count) && g.count >= 0 && g.count <= MAX_GROUP_SIZE
+    && (g.name === undefined || (typeof g.name === 'string' && g.name.length <= MAX_GROUP_NAME));
+
+function settingProblem(defaults, key, value) {
+    if(!Object.hasOwn(defaults, key)) return 'unknown setting';
+    if(typeof value !== typeof defaults[key]) return `expected a ${typeof defaults[key]}`;
+    if(Object.hasOwn(SETTING_CHOICES, key) && !SETTING_CHOICES[key].includes(value)) return `expected one of ${SETTING_CHOICES[key].join(', ')}`;
+    if(typeof value === 'number') {
+        const [min, max] = SETTING_LIMITS[key] || [-Infinity, Infinity];
+        if(!inRange(value, min, max)) return `expected a number from ${min} to ${max}`;
+        if(INTEGER_SETTINGS.includes(key) && !Number.isInteger(value)) return `expected a whole number from ${min} to ${max}`;
+    }
+    return null;
+}
+
+// Check a scenario (or config) field by field. Returns a copy holding only the fields that
+// passed, plus one 'path: reason' line per rejected field. The version is left to applySetup().
+export function validateScenario(sc) {
+    const rejected = [];
+    if(!isObject(sc)) return { scenario: { version: undefined }, rejected: ['scenario: expected an object'] };
+    const out = { version: sc.version };
+    const reject = (path, why) => { rejected.push(`${path}: ${why}`); };
+    // Copies `src[key]` to `dst[key]` when `ok` accepts it; a missing key is never an error.
+    const take = (src, dst, key, path, ok, why) => {
+        if(src[key] === undefined) return;
+        if(ok(src[key])) dst[key] = src[key]; else reject(`${path}${key}`, why);
+    };
+    const object = (src, path) => {
+        if(src === undefined) return null;
+        if(isObject(src)) return src;
+        reject(path, 'expected an object'); return null;
+    };
+    const settings = (src, path) => {
+        if(!object(src, path)) return undefined;
+        const defaults = defaultSettings(), ok = {};
+        Object.entries(src).forEach(([k, v]) => {
+            const why = settingProblem(defaults, k, v);
+            if(why) reject(`${path}.${k}`, why); else ok[k] = v;
+        });
+        return ok;
+    };
+
+    Object.entries(MAX_TEXT).forEach(([k, max]) => take(sc, out, k, '', v => typeof v === 'string' && v.length <= max, `expected text of at most ${max} characters`));
+    take(sc, out, 'seed', '', v => Number.isInteger(v) && v >= 0 && v < 4294967296, 'expected a 32-bit unsigned integer');
+    take(sc, out, 'beacon', '', isVec3, 'expected [x, y, z]');
+    out.settings = settings(sc.settings, 'settings');
+    out.missiles = settings(sc.missiles, 'missiles');
+
+    const ship = object(sc.ship, 'ship');
+    if(ship) {
+        out.ship = {};
+        take(ship, out.ship, 'hull', 'ship.', v => typeof v === 'string' && Object.hasOwn(SHIP_CATALOG, v), 'unknown hull');
+        take(ship, out.ship, 'fit', 'ship.', v => isObject(v) && SLOT_TYPES.every(t => v[t] === undefined
+            || (Array.isArray(v[t]) && v[t].every(id => id === null || typeof id === 'string'))), 'expected module id lists per slot type');
+        take(ship, out.ship, 'position', 'ship.', isVec3, 'expected [x, y, z]');
+        take(ship, out.ship, 'heading', 'ship.', v => isVec3(v) && v.some(Boolean), 'expected a non-zero [x, y, z]');
+        take(ship, out.ship, 'throttle', 'ship.', v => inRange(v, 0, 1), 'expected a number from 0 to 1');
+        take(ship, out.ship, 'modules', 'ship.', v => isObject(v) && Object.values(v).every(on => typeof on === 'boolean'), 'expected on/off flags');
+    }
+
+    const fleets = object(sc.fleets, 'fleets');
+    if(fleets) {
+        out.fleets = {};
+        FLEET_SIDES.forEach(side => {
+            const path = `fleets.${side}`;
+            const fleet = object(fleets[side], path);
+            if(!fleet) return;
+            const dst = out.fleets[side] = {};
+            take(fleet, dst, 'position', `${path}.`, isVec3, 'expected [x, y, z]');
+            take(fleet, dst, 'composition', `${path}.`, v => Array.isArray(v) && v.length <= MAX_GROUPS && v.every(validGroup),
+                `expected up to ${MAX_GROUPS} groups of known ship types, at most ${MAX_GROUP_SIZE} ships and ${MAX_GROUP_NAME}-character names each`);
+            dst.behavior = settings(fleet.behavior, `${path}.behavior`);
+        });
+    }
+
+    if(sc.firewalls !== undefined) {
+        if(!Array.isArray(sc.firewalls) || sc.firewalls.length > MAX_FIREWALLS) reject('firewalls', `expected a list of at most ${MAX_FIREWALLS}`);
+        else out.firewalls = sc.firewalls.filter((fw, i) => {
+            const why = !isObject(fw) ? 'expected an object'
+                : fw.offset !== undefined && !isVec3(fw.offset) ? 'offset: expected [x, y, z]'
+                : fw.sbRange !== undefined && !inRange(fw.sbRange, ...SETTING_LIMITS.sbRange) ? `sbRange: expected a number from ${SETTING_LIMITS.sbRange.join(' to ')}`
+                : fw.phase !== undefined && !inRange(fw.phase, 0, 1) ? 'phase: expected a number from 0 to 1'
+                : fw.smartbomb !== undefined && !(Object.hasOwn(MODULE_CATALOG, fw.smartbomb) && MODULE_CATALOG[fw.smartbomb].smartbomb) ? 'smartbomb: unknown smartbomb' : null;
+            if(why) reject(`firewalls.${i}`, why);
+            return !why;
+        });
+    }
+
+    const objectives = object(sc.objectives, 'objectives');
+    if(objectives) {
+        out.objectives = {};
+        Object.keys(objectives).forEach(k => {
+            if(!OBJECTIVE_KEYS.includes(k)) reject(`objectives.${k}`, 'unknown objective');
+            else take(objectives, out.objectives, k, 'objectives.', v => Number.isFinite(v) && v >= 0, 'expected a number of at least 0');
+        });
+    }
+    return { scenario: out, rejected };
+}
+
+const pick = (obj, keys) => Object.fromEntries(keys.map(k => [k, obj[k]]));
+
+export function exportScenario(state, { name = 'Untitled', description = '' } = {}) {
+    const { SETTINGS, SHIP_STATE, MODULES, friendFleet, enemyFleet } = state;
+    const grouped = [...FLEET_KEYS.friend, ...FLEET_KEYS.enemy, ...MISSILE_KEYS];
+    return {
+        version: SCENARIO_VERSION, name, description, seed: state.seed,
+        ship: {
+            hull: state.HULL.id, fit: JSON.parse(JSON.stringify(state.FITTING)),
+            position: SHIP_STATE.position.toArray(), heading: SHIP_STATE.targetHeading.toArray(), throttle: SHIP_STATE.throttle,
+            modules: { ab: MODULES.ab.active, mwd: MODULES.mwd.active, sb: MODULES.sb.active }
+        },
+        fleets: {
+            friend: { composition: state.COMPOSITION.friend, position: friendFleet.pos.toArray(), behavior: pick(SETTINGS, FLEET_KEYS.friend) },
+            enemy: { composition: state.COMPOSITION.enemy, position: enemyFleet.pos.toArray(), behavior: pick(SETTINGS, FLEET_KEYS.enemy) }
+        },
+        firewalls: state.firewalls.map(fw => ({ offset: fw.offset.toArray(), sbRange: fw.sbRange, phase: fw.phase, smartbomb: fw.smartbomb })),
+        beacon: state.beacon.toArray(),
+        missiles: pick(SETTINGS, MISSILE_KEYS),
+        settings: Object.fromEntries(Object.entries(SETTINGS).filter(([k]) => !grouped.includes(k))),
+        objectives: state.scenario ? state.scenario.objectives : {}
+    };
+}
+
+// The configuration part of a scenario: settings, hull and fit, fleet compositions, firewalls. No seed,
+// positions, running modules or objectives; this is what the page keeps between visits.
+export function exportConfig(state) {
+    const { version, ship, fleets, firewalls, missiles, settings } = exportScenario(state);
+    const side = ({ composition, behavior }) => ({ composition, behavior });
+    return { version, ship: { hull: ship.hull, fit: ship.fit }, fleets: { friend: side(fleets.friend), enemy: side(fleets.enemy) }, firewalls, missiles, settings };
+}
+
+// Settings, hull, fit, compositions and firewalls; shared by applyScenario() and applyConfig().
+function applySetup(state, sc) {
+    if(sc.version !== SCENARIO_VERSION) throw new Error(`Unsupported scenario version: ${sc.version}`);
+    const { SHIP_STATE, MODULES } = state;
+    const ship = sc.ship || {}, fleets = sc.fleets || {};
+    const friend = fleets.friend || {}, enemy = fleets.enemy || {};
+    Object.assign(state.SETTINGS, defaultSettings(), sc.settings, sc.missiles, friend.behavior, enemy.behavior);
+
+    setHull(state, ship.hull || state.HULL.id);
+    const fit = normalizeFit(state.HULL, ship.fit || DEFAULT_FIT);
+    Object.keys(state.FITTING).forEach(k => { delete state.FITTING[k]; });
+    Object.assign(state.FITTING, fit);
+    Object.values(MODULES).forEach(m => { m.active = false; m.stopping = false; m.timer = 0; });
+    applyFitting(state);
+    SHIP_STATE.cap = state.NESTOR.capCapacity;
+    setComposition(state, 'friend', friend.composition || DEFAULT_COMPOSITION.friend);
+    setComposition(state, 'enemy', enemy.composition || DEFAULT_COMPOSITION.enemy);
+    state.firewalls.length = 0; state.firewallSerial = 0;
+    (sc.firewalls || []).forEach(fw => addFirewall(state, fw));
+}
+
+// Apply a config (or any scenario's config part) where everything currently stands. Returns the
+// rejected fields from validateScenario().
+export function applyConfig(state, cfg) {
+    const { scenario, rejected } = validateScenario(cfg);
+    applySetup(state, scenario);
+    respawnFleets(state);
+    return rejected;
+}
+
+// Load a scenario into an existing state in place, so the renderer's references stay valid.
+// Returns the rejected fields from validateScenario().
+export function applyScenario(state, src) {
+    const { scenario: sc, rejected } = validateScenario(src);
+    const { SHIP_STATE, friendFleet, enemyFleet } = state;
+    const ship = sc.ship || {}, fleets = sc.fleets || {};
+    const friend = fleets.friend || {}, enemy = fleets.enemy || {};
+
+    applySetup(state, sc);
+    if(sc.seed !== undefined) state.seed = sc.seed;
+    state.rng = createRng(state.seed);
+    SHIP_STATE.position.fromArray(ship.position || [0, 0, 0]); SHIP_STATE.velocity.set(0, 0, 0);
+    SHIP_STATE.targetHeading.fromArray(ship.heading || [0, 0, -1]).normalize();
+    SHIP_STATE.nav = null; SHIP_STATE.throttle = ship.throttle ?? 0; state.align = null;
+    const modules = ship.modules || {};
+    if(modules.ab) toggleModule(state, 'ab');
+    if(modules.mwd) toggleModule(state, 'mwd');
+    if(modules.sb) toggleSmartbomb(state);
+
+    friendFleet.pos.fromArray(friend.position || [5000, 0, 0]); friendFleet.velocity.set(0, 0, 0);
+    enemyFleet.pos.fromArray(enemy.position || [-50000, 0, -10000]); enemyFleet.velocity.set(0, 0, 0);
+    state.beacon.fromArray(sc.beacon || friendFleet.pos.toArray());
+    respawnFleets(state);
+    state.advice.valid = false;
+    state.scenario = { name: sc.name || 'Untitled', description: sc.description || '', objectives: sc.objectives || {}, start: state.time };
+    return rejected;
+}
+
+// Objective checks for the loaded scenario: minEfficiency (0..1), maxShipsLost, maxDamageTaken
+// and duration (seconds the line has to hold).
+export function checkObjectives(state) {
+    if(!state.scenario) return [];
+    const { STATS } = state;
+    const o = state.scenario.objectives;
+    const list = [];
+    if(o.minEfficiency !== undefined) {
+        const eff = efficiency(STATS);
+        list.push({ label: `Efficiency >= ${Math.round(o.minEfficiency * 100)}%`, value: `${Math.round(eff * 100)}%`, met: eff >= o.minEfficiency });
+    }
+    if(o.maxShipsLost !== undefined) list.push({ label: `Ships lost <= ${o.maxShipsLost}`, value: STATS.shipsLost, met: STATS.shipsLost <= o.maxShipsLost });
+    if(o.maxDamageTaken !== undefined) list.push({ label: `Damage taken <= ${o.maxDamageTaken}`, value: Math.round(STATS.damageTaken), met: STATS.damageTaken <= o.maxDamageTaken });
+    if(o.duration !== undefined) {
+        const elapsed = state.time - state.scenario.start;
+        list.push({ label: `Hold for ${o.duration} s`, value: `${Math.min(Math.floor(elapsed), o.duration)} s`, met: elapsed >= o.duration });
+    }
+    return list;
+}
+
+// Scenarios in a URL hash: base64url of the UTF-8 JSON.
+export function encodeScenarioHash(sc) {
+    const bytes = new TextEncoder().encode(JSON.stringify(sc));
+    let bin = '';
+    bytes.forEach(b => { bin += String.fromCharCode(b); });
+    return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+export function decodeScenarioHash(hash) {
+    const bin = atob(hash.replace(/-/g, '+').replace(/_/g, '/'));
+    return JSON.parse(new TextDecoder().decode(Uint8Array.from(bin, c => c.charCodeAt(0))));
+}
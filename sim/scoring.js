@@ -0,0 +1,24 @@
+// --- SCORING ---
+// Every launched missile ends up intercepted (STATS.killed), impacted or expired; until then it
+// is in flight. Efficiency only counts resolved missiles, so a volley still on its way does not
+// drag the score down. STATS.recent keeps [time, intercepted] per resolution for the rolling score.
+export const ROLLING_WINDOW = 60;
+
+export const resolvedCount = (STATS) => STATS.killed + STATS.impacted + STATS.expired;
+export const inFlightCount = (STATS) => STATS.spawned - resolvedCount(STATS);
+
+export function efficiency(STATS) {
+    const n = resolvedCount(STATS);
+    return n ? STATS.killed / n : 0;
+}
+
+export function recordResolution(STATS, time, intercepted) {
+    STATS.recent.push([time, intercepted]);
+    while(STATS.recent.length && STATS.recent[0][0] < time - ROLLING_WINDOW) STATS.recent.shift();
+}
+
+// Efficiency over the last ROLLING_WINDOW seconds; null when nothing resolved in that time.
+export function rollingEfficiency(STATS, now) {
+    const recent = STATS.recent.filter(([t]) => t >= now - ROLLING_WINDOW);
+    return recent.length ? recent.filter(([, hit]) => hit).length / recent.length : null;
+}
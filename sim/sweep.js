@@ -0,0 +1,39 @@
+// Headless parameter sweep.
+//   node sim/sweep.js --axis missileSpeed=4000:12000:2000 --axis sbRange=6000:10000:1000 --runs 3 --seconds 120
+//   node sim/sweep.js --axis firewallDist=0:30000:5000 --hull typhoon --missile torpedo --set friendlyAnchor=beacon
+// Prints one tab-separated row per grid point: the swept values, mean efficiency, spread and impacts.
+import { createState, setMissileType } from './core.js';
+import { baseFromState, sweep } from './optimizer.js';
+
+const args = process.argv.slice(2);
+const opts = { seconds: 120, runs: 3, seed: 1, hull: 'nestor', missile: null, set: {}, axes: [] };
+for(let i=0; i<args.length; i++) {
+    const a = args[i];
+    if(a === '--seconds') opts.seconds = parseFloat(args[++i]);
+    else if(a === '--runs') opts.runs = parseInt(args[++i]);
+    else if(a === '--seed') opts.seed = parseInt(args[++i]);
+    else if(a === '--hull') opts.hull = args[++i];
+    else if(a === '--missile') opts.missile = args[++i];
+    else if(a === '--set') {
+        const [k, v] = args[++i].split('=');
+        opts.set[k] = v === 'true' ? true : v === 'false' ? false : isNaN(parseFloat(v)) ? v : parseFloat(v);
+    }
+    else if(a === '--axis') {
+        const [key, range] = args[++i].split('=');
+        const [min, max, step] = range.split(':').map(parseFloat);
+        opts.axes.push({ key, min, max, step });
+    }
+    else { console.error(`Unknown argument: ${a}`); process.exit(1); }
+}
+if(!opts.axes.length) { console.error('At least one --axis key=min:max:step is required'); process.exit(1); }
+
+const state = createState({ seed: opts.seed, hull: opts.hull });
+if(opts.missile) setMissileType(state, opts.missile);
+Object.assign(state.SETTINGS, opts.set);
+const base = baseFromState(state);
+
+console.log([...opts.axes.map(a => a.key), 'efficiency', 'spread', 'impacted'].join('\t'));
+for(const { point } of sweep(base, opts.axes, opts)) {
+    if(!point) continue;
+    console.log([...opts.axes.map(a => point.overrides[a.key]), (point.mean * 100).toFixed(1) + '%', (point.std * 100).toFixed(1), point.impacted.toFixed(1)].join('\t'));
+}
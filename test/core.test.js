@@ -0,0 +1,171 @@
+// Regression checks against the headless core: seeded runs must be reproducible, and the
+// reference engagements below must keep producing the same stats. When a change is meant to
+// alter the outcome, update the expected numbers in the same commit.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createState, run, step, toggleSmartbomb, stopShip, fitModule, callVolley, addFirewall, updateFirewall, ringFirewalls, MAX_FIREWALLS, SB_RANGE_LIMITS } from '../sim/core.js';
+import { inFlightCount } from '../sim/scoring.js';
+import { normalizeGroups, MAX_GROUP_SIZE, MAX_GROUP_NAME } from '../sim/fleets.js';
+import { missilePaths } from '../sim/advisor.js';
+import { missileLogToCSV, MISSILE_LOG_COLUMNS } from '../sim/missilelog.js';
+
+const engagement = ({ seed = 1, seconds = 60, sb = false, settings = {} } = {}) => {
+    const state = createState({ seed });
+    Object.assign(state.SETTINGS, settings);
+    if(sb) toggleSmartbomb(state);
+    return run(state, seconds);
+};
+const summary = (state) => ({ ...state.STATS, recent: undefined, ship: state.SHIP_STATE.position.toArray() });
+
+test('same seed, same engagement', () => {
+    assert.deepEqual(summary(engagement({ seed: 7, sb: true })), summary(engagement({ seed: 7, sb: true })));
+});
+
+test('different seeds differ', () => {
+    assert.notDeepEqual(summary(engagement({ seed: 1 })), summary(engagement({ seed: 2 })));
+});
+
+test('reference run without smartbomb', () => {
+    const { STATS } = engagement();
+    assert.equal(STATS.spawned, 144);
+    assert.equal(STATS.killed, 0);
+    assert.equal(STATS.impacted, 118);
+    assert.equal(Math.round(STATS.damageTaken), 3159);
+});
+
+test('reference run with smartbomb', () => {
+    const { STATS } = engagement({ sb: true });
+    assert.equal(STATS.spawned, 144);
+    assert.equal(STATS.killed, 123);
+    assert.equal(STATS.impacted, 0);
+    assert.deepEqual(STATS.bySource, { Nestor: 123 });
+});
+
+test('cruise missiles resist kinetic smartbombs', () => {
+    const state = createState({ seed: 1 });
+    fitModule(state, 'high', 0, 'proton-sb-ii');
+    toggleSmartbomb(state);
+    const { STATS } = run(state, 60);
+    assert.equal(STATS.killed, 106);
+    assert.equal(STATS.impacted, 12);
+});
+
+test('every launched missile is resolved or in flight', () => {
+    for(const settings of [{}, { guidance: 'eve' }, { serverTick: true, tickRate: 1, sweepTracking: true }]) {
+        const state = engagement({ seconds: 90, sb: true, settings });
+        const { STATS } = state;
+        assert.equal(inFlightCount(STATS), state.missiles.filter(m => m.active).length);
+        assert.equal(STATS.killed + STATS.impacted + STATS.expired + inFlightCount(STATS), STATS.spawned);
+    }
+});
+
+test('smartbomb keeps cycling once a second on 2 s ticks', () => {
+    const state = createState({ seed: 1 });
+    Object.assign(state.SETTINGS, { serverTick: true, tickRate: 0.5 });
+    toggleSmartbomb(state);
+    let pulses = 0;
+    for(let i = 0; i < 60 * 21; i++) {
+        step(state, state.SETTINGS.fixedDt);
+        pulses += state.events.filter(e => e.type === 'sbPulse').length;
+        state.events.length = 0;
+    }
+    assert.equal(pulses, 20);
+});
+
+test('a volley called while reloading fires once the launchers are loaded', () => {
+    const state = createState({ seed: 1 });
+    state.SETTINGS.volleyMode = 'onCall';
+    const steps = (n) => { for(let i = 0; i < n; i++) step(state, state.SETTINGS.fixedDt); };
+    steps(600); callVolley(state); steps(2);
+    const volley = state.STATS.spawned;
+    callVolley(state); steps(60);
+    assert.equal(state.STATS.spawned, volley);
+    steps(60 * 10);
+    assert.equal(state.STATS.spawned, volley * 2);
+});
+
+test('impacts on ships inside the smartbomb sphere are never out of range', () => {
+    for(const guidance of ['cinematic', 'eve']) {
+        const state = createState({ seed: 1 });
+        Object.assign(state.SETTINGS, { serverTick: true, tickRate: 1, missileSpeed: 20000, sweepTracking: true, friendlyAnchor: 'player', guidance });
+        stopShip(state); toggleSmartbomb(state);
+        run(state, 60);
+        assert.ok(state.STATS.impacted > 0);
+        assert.equal(state.STATS.escapedOutOfRange, 0, guidance);
+    }
+});
+
+test('leaks through an allied firewall sphere are classified against it', () => {
+    const state = createState({ seed: 1 });
+    Object.assign(state.SETTINGS, { serverTick: true, tickRate: 1, missileSpeed: 20000, sweepTracking: true, formation: 'ball' });
+    state.SHIP_STATE.position.set(0, 0, 200000); stopShip(state);
+    addFirewall(state, { sbRange: 7000 });
+    run(state, 60);
+    assert.ok(state.STATS.impacted > 0);
+    assert.equal(state.STATS.escapedOutOfRange, 0);
+    assert.ok(state.missileLog.every(e => e.closestTo === 'Firewall 1'));
+});
+
+test('allied firewalls cycle their own smartbomb', () => {
+    const kills = (fit, smartbomb) => {
+        const state = createState({ seed: 1 });
+        fitModule(state, 'high', 0, fit);
+        state.SHIP_STATE.position.set(0, 0, 200000); stopShip(state);
+        const fw = addFirewall(state, { sbRange: 9000, smartbomb });
+        run(state, 60);
+        return [fw.smartbomb, state.STATS.bySource[fw.name] || 0];
+    };
+    const [empId, emp] = kills('emp-sb-ii');
+    const [protonId, proton] = kills('emp-sb-ii', 'proton-sb-ii');
+    assert.equal(empId, 'emp-sb-ii');
+    assert.equal(protonId, 'proton-sb-ii');
+    assert.ok(proton < emp, `${proton} < ${emp}`);
+    assert.equal(kills('proton-sb-ii')[0], 'proton-sb-ii');
+});
+
+test('firewall edits are clamped and the count is capped', () => {
+    const state = createState({ seed: 1 });
+    const fw = addFirewall(state, { sbRange: NaN, phase: NaN });
+    assert.equal(fw.sbRange, state.SETTINGS.sbRange);
+    assert.equal(fw.phase, 0);
+    updateFirewall(state, 0, { sbRange: 1e9, phase: parseFloat('') });
+    assert.equal(fw.sbRange, SB_RANGE_LIMITS[1]);
+    assert.equal(fw.phase, 0);
+    updateFirewall(state, 0, { sbRange: parseFloat('') });
+    assert.equal(fw.sbRange, state.SETTINGS.sbRange);
+    ringFirewalls(state, 1000, 6000);
+    assert.equal(state.firewalls.length, MAX_FIREWALLS);
+    assert.equal(addFirewall(state), null);
+    assert.equal(state.firewalls.length, MAX_FIREWALLS);
+    ringFirewalls(state, NaN, 6000);
+    assert.equal(state.firewalls.length, 0);
+});
+
+test('fleet groups are capped in size and name length', () => {
+    const [g] = normalizeGroups('enemy', [{ ship: 'raven', count: 1e9, name: 'x'.repeat(500) }, { ship: '__proto__', count: 1 }]);
+    assert.equal(g.count, MAX_GROUP_SIZE);
+    assert.equal(g.name.length, MAX_GROUP_NAME);
+    assert.equal(normalizeGroups('enemy', [{ ship: 'raven', count: 2, name: { toString: () => 'x' } }])[0].name, 'Raven');
+    assert.equal(normalizeGroups('enemy', [{ ship: '__proto__', count: 1 }]).length, 0);
+});
+
+test('advisor samples large fleets down to a bounded number of paths', () => {
+    const state = createState({ seed: 1 });
+    const line = (ship, n) => Array.from({ length: n }, (_, i) => ({ position: ship.position.clone().setZ(i * 100) }));
+    const [enemy] = state.enemyFleet.ships, [friend] = state.friendFleet.ships;
+    const big = missilePaths(line(enemy, 150), line(friend, 150), 1e6, 200);
+    assert.ok(big.length <= 200, `${big.length} paths`);
+    assert.ok(Math.max(...big.map(p => p.target.z)) > 13000);
+    const blob = missilePaths(line(enemy, 40), line(friend, 15), 1e6, 200);
+    assert.ok(blob.length <= 200, `${blob.length} paths`);
+    assert.ok(new Set(blob.map(p => p.target.z)).size > 5);
+});
+
+test('missile log CSV defuses formulas and quotes line breaks', () => {
+    const row = (closestTo) => missileLogToCSV([{ closestTo, outcomeX: -1234.4 }]).split('\n').slice(1).join('\n');
+    const cell = (csv) => csv.split(',')[MISSILE_LOG_COLUMNS.indexOf('closestTo')];
+    assert.equal(cell(row('=HYPERLINK("x")')), `"'=HYPERLINK(""x"")"`);
+    for(const c of ['+', '-', '@']) assert.equal(cell(row(`${c}1`)), `'${c}1`);
+    assert.equal(cell(row('a\rb')), '"a\rb"');
+    assert.equal(row('Firewall 1').split(',')[MISSILE_LOG_COLUMNS.indexOf('outcomeX')], '-1234');
+});
@@ -0,0 +1,63 @@
+// Scenario files, shared links and saved configs all go through validateScenario(): fields
+// that fail are reported and left at their defaults instead of being applied.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createState, addFirewall, run } from '../sim/core.js';
+import { validateScenario, applyScenario, exportScenario, exportConfig, SAMPLE_SCENARIOS, SCENARIO_VERSION } from '../sim/scenario.js';
+
+test('sample and exported scenarios validate cleanly', () => {
+    SAMPLE_SCENARIOS.forEach(sc => assert.deepEqual(validateScenario(sc).rejected, [], sc.name));
+    const state = createState({ seed: 1 });
+    addFirewall(state, { offset: [2000, 0, 0] });
+    assert.deepEqual(validateScenario(exportScenario(state)).rejected, []);
+    assert.deepEqual(validateScenario(exportConfig(state)).rejected, []);
+});
+
+test('invalid fields are rejected and not applied', () => {
+    const state = createState({ seed: 1 });
+    const rejected = applyScenario(state, {
+        version: SCENARIO_VERSION,
+        settings: { fixedDt: 0, tickRate: -1, sbRange: '9000', unknown: 1 },
+        missiles: { missileType: 'nuke' },
+        fleets: { enemy: { behavior: { volleyMode: 'always' } } },
+        firewalls: [{ offset: [0, 0] }, { sbRange: 8000 }]
+    });
+    assert.deepEqual(rejected.map(r => r.split(':')[0]), [
+        'settings.fixedDt', 'settings.tickRate', 'settings.sbRange', 'settings.unknown',
+        'missiles.missileType', 'fleets.enemy.behavior.volleyMode', 'firewalls.0'
+    ]);
+    const { SETTINGS } = state;
+    assert.equal(SETTINGS.fixedDt, 1 / 60);
+    assert.equal(SETTINGS.tickRate, 1);
+    assert.equal(SETTINGS.sbRange, 7000);
+    assert.equal(SETTINGS.missileType, 'cruise');
+    assert.equal(SETTINGS.volleyMode, 'staggered');
+    assert.equal(state.firewalls.length, 1);
+    run(state, 1);
+});
+
+test('unsupported versions are refused', () => {
+    assert.throws(() => applyScenario(createState({ seed: 1 }), { version: 99 }), /version/);
+    assert.throws(() => applyScenario(createState({ seed: 1 }), null), /version/);
+});
+
+test('shared-link exploits are caught', () => {
+    const bad = [
+        { settings: { fixedDt: 0 } },
+        { settings: { tickRate: -1 } },
+        { fleets: { enemy: { behavior: { launchersPerShip: 2.5 } } } },
+        { missiles: { missileType: 'nuke' } },
+        { fleets: { enemy: { composition: [{ ship: 'raven', count: 1, name: '<img src=x onerror=alert(1)>'.repeat(3) }] } } },
+        { fleets: { enemy: { composition: [{ ship: 'raven', count: 1e6 }] } } },
+        { firewalls: new Array(100).fill({}) }
+    ];
+    bad.forEach(sc => assert.notDeepEqual(validateScenario({ version: SCENARIO_VERSION, ...sc }).rejected, [], JSON.stringify(sc)));
+});
+
+test('a fractional launcher count is rejected and the run keeps going', () => {
+    const state = createState({ seed: 1 });
+    const rejected = applyScenario(state, { version: SCENARIO_VERSION, fleets: { enemy: { behavior: { launchersPerShip: 2.5 } } } });
+    assert.deepEqual(rejected.map(r => r.split(':')[0]), ['fleets.enemy.behavior.launchersPerShip']);
+    assert.equal(state.SETTINGS.launchersPerShip, 6);
+    run(state, 5);
+});